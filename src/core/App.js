@@ -1,4 +1,5 @@
 import { Application, Container } from 'pixi.js';
+import { Pointer } from './Pointer.js';
 
 /**
  * Main application wrapper with proper initialization and lifecycle management
@@ -8,9 +9,25 @@ export class App {
     this.app = null;
     this.layers = {};
     this.scenes = [];
+    this.effects = null; // EffectPipeline, once post-processing is set up
+    this.timeOfDay = null; // TimeOfDay, when the scene has a day/night cycle
+    this.weather = null; // Weather, when the scene has a weather controller
+    this.terrain = null; // SnowGround that props stand on (heightAt, normalAt, anchor)
+    this.quality = null; // QualityGovernor, when quality adapts to the frame rate
+    this.pointer = null; // Pointer, tracking the mouse/touch for interactive scenes
     this.elapsed = 0;
     this.isRunning = false;
+    this.autoResize = true; // Follow the window size (disabled while exporting)
     this.timers = new Set();
+
+    // Time control
+    this.isPaused = false;
+    this.timeScale = 1;
+    this.fixedTimestep = null; // Seconds per step, or null for variable delta
+    this.maxSubSteps = 8; // Cap on fixed steps per frame to avoid a spiral of death
+    this.accumulator = 0;
+    this.loopDuration = null; // Seconds; when set, every scene repeats seamlessly
+    this.tickerCallback = (ticker) => this.tick(ticker.deltaMS / 1000);
   }
 
   /**
@@ -22,6 +39,7 @@ export class App {
    * @param {number} [options.backgroundColor=0x1a1a2e] - Background color
    * @param {boolean} [options.antialias=true] - Enable antialiasing
    * @param {boolean} [options.autoDensity=true] - Handle device pixel ratio
+   * @param {number} [options.loopDuration] - Make the scene loop seamlessly over this many seconds
    */
   async init(options = {}) {
     const {
@@ -30,9 +48,12 @@ export class App {
       height = window.innerHeight,
       backgroundColor = 0x1a1a2e,
       antialias = true,
-      autoDensity = true
+      autoDensity = true,
+      loopDuration = null
     } = options;
 
+    this.loopDuration = loopDuration;
+
     this.app = new Application();
 
     await this.app.init({
@@ -56,6 +77,9 @@ export class App {
     // Handle resize
     this.setupResize();
 
+    // Pointer tracking, first in the update order and idle until a scene enables it
+    new Pointer(this);
+
     return this;
   }
 
@@ -84,13 +108,24 @@ export class App {
    */
   setupResize() {
     const resize = () => {
-      this.app.renderer.resize(window.innerWidth, window.innerHeight);
-      this.scenes.forEach(scene => scene.onResize?.(this.width, this.height));
+      if (this.autoResize) this.resize(window.innerWidth, window.innerHeight);
     };
 
     window.addEventListener('resize', resize);
   }
 
+  /**
+   * Resize the renderer and notify scenes
+   * @param {number} width
+   * @param {number} height
+   * @param {number} [resolution] - Pixel density (defaults to the current one)
+   */
+  resize(width, height, resolution = this.app.renderer.resolution) {
+    this.app.renderer.resize(width, height, resolution);
+    this.scenes.forEach(scene => scene.onResize?.(this.width, this.height));
+    return this;
+  }
+
   /**
    * Get canvas dimensions
    */
@@ -108,7 +143,10 @@ export class App {
 
   /**
    * Add a scene to the update loop
-   * @param {Object} scene - Object with update(delta, elapsed) method
+   * @param {Object} scene - Object with update(delta, elapsed) method.
+   *   Scenes whose state depends on past frames set `stateful = true` and
+   *   implement reset() so seek() can replay them. Scenes that can trade
+   *   detail for speed implement setQuality(tier) (see QualityGovernor).
    */
   addScene(scene) {
     this.scenes.push(scene);
@@ -135,28 +173,162 @@ export class App {
     if (this.isRunning) return;
     this.isRunning = true;
 
-    this.app.ticker.add((ticker) => {
-      const delta = ticker.deltaMS / 1000; // Convert to seconds
-      this.elapsed += delta;
-
-      // Update all scenes
-      for (const scene of this.scenes) {
-        scene.update?.(delta, this.elapsed);
-      }
-    });
+    this.app.ticker.add(this.tickerCallback);
+    this.app.ticker.start();
 
     return this;
   }
 
   /**
-   * Stop the animation loop
+   * Stop the animation loop (nothing is rendered until start() is called again)
    */
   stop() {
     this.isRunning = false;
+    this.app.ticker.remove(this.tickerCallback);
     this.app.ticker.stop();
     return this;
   }
 
+  /**
+   * Advance time by one frame of real (wall-clock) time
+   * @param {number} realDelta - Seconds since the last frame
+   */
+  tick(realDelta) {
+    if (this.isPaused) return;
+
+    const delta = realDelta * this.timeScale;
+
+    if (!this.fixedTimestep) {
+      this.step(delta);
+      return;
+    }
+
+    // Fixed timestep: consume accumulated time in equal steps
+    this.accumulator += delta;
+    let steps = 0;
+    while (this.accumulator >= this.fixedTimestep && steps < this.maxSubSteps) {
+      this.step(this.fixedTimestep);
+      this.accumulator -= this.fixedTimestep;
+      steps++;
+    }
+
+    // Fell too far behind - drop the backlog rather than trying to catch up
+    if (steps === this.maxSubSteps) {
+      this.accumulator = 0;
+    }
+  }
+
+  /**
+   * Advance scene time by an exact amount and update all scenes
+   * @param {number} delta - Seconds of scene time
+   */
+  step(delta) {
+    this.elapsed += delta;
+    if (this.loopDuration) {
+      this.elapsed %= this.loopDuration;
+    }
+
+    for (const scene of this.scenes) {
+      scene.update?.(delta, this.elapsed);
+    }
+  }
+
+  /**
+   * Freeze scene time (the stage keeps rendering)
+   */
+  pause() {
+    this.isPaused = true;
+    return this;
+  }
+
+  /**
+   * Continue after pause()
+   */
+  resume() {
+    this.isPaused = false;
+    this.accumulator = 0;
+    return this;
+  }
+
+  /**
+   * Scale the speed of scene time
+   * @param {number} scale - 1 = normal, 0.25 = slow motion, 2 = double speed
+   */
+  setTimeScale(scale) {
+    this.timeScale = Math.max(0, scale);
+    return this;
+  }
+
+  /**
+   * Use a fixed simulation step instead of the frame's variable delta
+   * @param {number|null} step - Seconds per step (e.g. 1 / 60), or null to disable
+   */
+  setFixedTimestep(step) {
+    this.fixedTimestep = step > 0 ? step : null;
+    this.accumulator = 0;
+    return this;
+  }
+
+  /**
+   * Make every scene periodic: the frame at elapsed = seconds is identical to
+   * the one at 0, so clips of that length loop seamlessly. Scene time wraps
+   * around at the loop length.
+   * @param {number|null} seconds - Loop length, or null to disable
+   */
+  setLoopDuration(seconds) {
+    this.loopDuration = seconds > 0 ? seconds : null;
+    if (this.loopDuration) {
+      this.elapsed %= this.loopDuration;
+    }
+
+    for (const scene of this.scenes) {
+      scene.onLoopChange?.(this.loopDuration);
+    }
+    return this;
+  }
+
+  /**
+   * Jump scene time to an exact timestamp.
+   * Scenes that are pure functions of elapsed get a single update at the target time.
+   * Scenes flagged `stateful` are simulated forward in steps of `step`; seeking
+   * backwards calls their reset() and replays from zero.
+   * @param {number} time - Target time in seconds
+   * @param {Object} [options]
+   * @param {number} [options.step=1/30] - Simulation step for stateful scenes
+   */
+  seek(time, { step = 1 / 30 } = {}) {
+    time = Math.max(0, time);
+    if (this.loopDuration) {
+      time %= this.loopDuration;
+    }
+
+    if (time < this.elapsed) {
+      for (const scene of this.scenes) {
+        scene.reset?.();
+      }
+      this.elapsed = 0;
+    }
+
+    const stateful = this.scenes.filter(scene => scene.stateful);
+
+    while (time - this.elapsed > 1e-9) {
+      const delta = Math.min(step, time - this.elapsed);
+      this.elapsed += delta;
+      for (const scene of stateful) {
+        scene.update?.(delta, this.elapsed);
+      }
+    }
+
+    this.elapsed = time;
+    this.accumulator = 0;
+
+    for (const scene of this.scenes) {
+      if (!scene.stateful) scene.update?.(0, this.elapsed);
+    }
+
+    return this;
+  }
+
   /**
    * Safe setTimeout that gets cleaned up on destroy
    */
@@ -0,0 +1,175 @@
+import { lerp } from '../utils/math.js';
+
+// Seconds of pointer history kept in the trail
+const TRAIL_SECONDS = 1;
+
+/**
+ * Pointer (mouse, pen or touch) tracking for interactive scenes
+ *
+ * Every App has one, registered as its first scene and exposed as
+ * app.pointer. It stays passive - no DOM listeners - until a scene opts in
+ * with enable() (scenes take an `interactive` option), so wallpapers cost
+ * nothing and don't swallow touch scrolling.
+ *
+ * Positions are in screen pixels. Velocity and the trail are measured in
+ * scene time, in update(), so scenes reading them in their own update() see
+ * this frame's values.
+ */
+export class Pointer {
+  constructor(app) {
+    this.app = app;
+    this.x = 0;
+    this.y = 0;
+    this.vx = 0; // Smoothed velocity, pixels per second
+    this.vy = 0;
+    this.inside = false; // Over the canvas (or touching it)
+    this.pressed = false;
+    this.trail = []; // Recent positions, newest last: { x, y, time }
+
+    this.users = 0;
+    this.time = 0;
+    this.target = null; // Latest event position, consumed in update()
+    this.listeners = new Set();
+    this.handlers = {
+      pointermove: (event) => this.move(event),
+      pointerdown: (event) => this.down(event),
+      pointerup: () => { this.pressed = false; },
+      pointercancel: () => this.leave(),
+      pointerleave: () => this.leave()
+    };
+
+    app.addScene(this);
+  }
+
+  onAdd(app) {
+    app.pointer = this;
+  }
+
+  /**
+   * Start listening (called by each interactive scene)
+   * @returns {Function} Disable again
+   */
+  enable() {
+    if (this.users++ === 0) {
+      const canvas = this.app.app.canvas;
+      for (const [type, handler] of Object.entries(this.handlers)) {
+        canvas.addEventListener(type, handler);
+      }
+      // Touches drag the scene instead of scrolling the page
+      this.touchAction = canvas.style.touchAction;
+      canvas.style.touchAction = 'none';
+    }
+
+    let enabled = true;
+    return () => {
+      if (!enabled) return;
+      enabled = false;
+      if (--this.users === 0) this.detach();
+    };
+  }
+
+  detach() {
+    const canvas = this.app.app.canvas;
+    for (const [type, handler] of Object.entries(this.handlers)) {
+      canvas.removeEventListener(type, handler);
+    }
+    canvas.style.touchAction = this.touchAction;
+    this.leave();
+  }
+
+  /**
+   * Be notified of presses (clicks and taps)
+   * @param {Function} listener - Called with ({x, y}) in screen pixels
+   * @returns {Function} Unsubscribe
+   */
+  onPress(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Speed in pixels per second
+   */
+  get speed() {
+    return Math.hypot(this.vx, this.vy);
+  }
+
+  /**
+   * Where the pointer was `age` seconds ago (the oldest point if the trail is shorter)
+   * @returns {{x: number, y: number}}
+   */
+  trailAt(age) {
+    const time = this.time - age;
+    for (let i = this.trail.length - 1; i >= 0; i--) {
+      if (this.trail[i].time <= time) return this.trail[i];
+    }
+    return this.trail[0] ?? this;
+  }
+
+  /**
+   * Event position in screen pixels (the canvas may be scaled by CSS)
+   */
+  toScreen(event) {
+    const rect = this.app.app.canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (this.app.width / rect.width),
+      y: (event.clientY - rect.top) * (this.app.height / rect.height)
+    };
+  }
+
+  move(event) {
+    this.target = this.toScreen(event);
+
+    // Jump on entering rather than sweeping in from the last exit
+    if (!this.inside) {
+      this.inside = true;
+      this.x = this.target.x;
+      this.y = this.target.y;
+      this.trail = [];
+    }
+  }
+
+  down(event) {
+    this.move(event);
+    this.pressed = true;
+    const point = this.toScreen(event);
+    for (const listener of this.listeners) {
+      listener(point);
+    }
+  }
+
+  leave() {
+    this.inside = false;
+    this.pressed = false;
+    this.target = null;
+    this.vx = 0;
+    this.vy = 0;
+    this.trail = [];
+  }
+
+  update(delta) {
+    if (!this.inside || delta <= 0) return;
+    this.time += delta;
+
+    const x = this.target?.x ?? this.x;
+    const y = this.target?.y ?? this.y;
+
+    // Smooth the velocity over a few frames; it decays once the pointer stops
+    const smoothing = 1 - Math.exp(-delta * 15);
+    this.vx = lerp(this.vx, (x - this.x) / delta, smoothing);
+    this.vy = lerp(this.vy, (y - this.y) / delta, smoothing);
+    this.x = x;
+    this.y = y;
+
+    this.trail.push({ x, y, time: this.time });
+    while (this.trail.length && this.trail[0].time < this.time - TRAIL_SECONDS) {
+      this.trail.shift();
+    }
+  }
+
+  onDestroy() {
+    if (this.users > 0) this.detach();
+    this.users = 0;
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,230 @@
+import { UPDATE_PRIORITY } from 'pixi.js';
+
+/**
+ * Quality tiers, lowest first. Scenes read what they need from the tier in
+ * setQuality(tier):
+ * - particles: multiplier on particle counts
+ * - detail: multiplier on geometry and noise detail (e.g. aurora columns and octaves)
+ * - bloom: bloom filters on or off
+ * - grain: film grain on or off
+ */
+export const qualityTiers = [
+  { name: 'low', particles: 0.3, detail: 0.5, bloom: false, grain: false },
+  { name: 'medium', particles: 0.6, detail: 0.75, bloom: false, grain: true },
+  { name: 'high', particles: 1, detail: 1, bloom: true, grain: true },
+  { name: 'ultra', particles: 1.5, detail: 1.25, bloom: true, grain: true }
+];
+
+// Post-processing effects (by pipeline name) switched by the tier flag of the same name
+const pipelineEffects = ['bloom', 'grain'];
+
+// Frames longer than this are hitches (tab switch, GC), not a measure of load
+const MAX_FRAME_MS = 250;
+
+/**
+ * Adaptive quality: measures frame times and steps scenes between quality
+ * tiers to hold the target frame rate
+ *
+ * Registers itself as a scene (like EffectPipeline) and exposes itself as
+ * app.quality. Scenes that can scale implement setQuality(tier), which is
+ * called on the governor's first update after they are added and whenever
+ * the tier changes; the governor itself switches pipeline effects named
+ * "bloom" and "grain".
+ *
+ * Each measurement window is judged on two timings:
+ * - frame interval (ticker delta): running slower than the target steps down
+ * - work time (update + render on the CPU): the interval is capped by vsync,
+ *   so only a lot of headroom here steps back up
+ * Stepping up needs several good windows in a row, and more for a tier that
+ * has already been dropped from, so the tier doesn't flip back and forth.
+ */
+export class QualityGovernor {
+  /**
+   * @param {App} app
+   * @param {Object} [options]
+   * @param {string} [options.tier='high'] - Starting tier (name in qualityTiers)
+   * @param {boolean} [options.adaptive=true] - Change tier from measured frame times
+   * @param {number} [options.targetFps=60] - Frame rate to hold
+   * @param {number} [options.window=2] - Seconds of frames per measurement
+   * @param {number} [options.upgradeAfter=3] - Good windows in a row before stepping up
+   */
+  constructor(app, options = {}) {
+    this.app = app;
+    this.tiers = qualityTiers;
+    this.index = this.tierIndex(options.tier ?? 'high');
+    this.adaptive = options.adaptive ?? true;
+    this.targetFps = options.targetFps || 60;
+    this.window = options.window || 2;
+    this.upgradeAfter = options.upgradeAfter || 3;
+
+    this.applied = new WeakSet(); // Scenes that have been given the current tier
+    this.disabledEffects = new Set(); // Pipeline effects switched off by the governor
+    this.strikes = this.tiers.map(() => 0); // Times each tier was dropped from
+    this.goodWindows = 0; // Windows in a row with room to step up
+    this.settling = false; // Ignore the window after a change, while scenes adjust
+    this.measured = { interval: 0, work: 0 }; // Last window's mean frame interval and work time (ms)
+    this.listeners = new Set();
+    this.frameStart = 0;
+    this.resetWindow();
+
+    app.addScene(this);
+  }
+
+  onAdd(app) {
+    app.quality = this;
+
+    // Bracket the app's update and render
+    app.app.ticker.add(this.beginFrame, this, UPDATE_PRIORITY.INTERACTION);
+    app.app.ticker.add(this.endFrame, this, UPDATE_PRIORITY.UTILITY);
+  }
+
+  /**
+   * Current tier
+   * @returns {{name: string, particles: number, detail: number, bloom: boolean, grain: boolean}}
+   */
+  get tier() {
+    return this.tiers[this.index];
+  }
+
+  tierIndex(name) {
+    const index = this.tiers.findIndex(tier => tier.name === name);
+    if (index === -1) {
+      throw new Error(`Unknown quality tier "${name}" (expected one of: ${this.tiers.map(tier => tier.name).join(', ')})`);
+    }
+    return index;
+  }
+
+  /**
+   * Switch to a tier
+   * @param {string} name - Tier name
+   * @param {Object} [options]
+   * @param {boolean} [options.adaptive] - Also turn adaptation on or off (e.g. false to pin the tier)
+   */
+  setTier(name, { adaptive = this.adaptive } = {}) {
+    this.adaptive = adaptive;
+    this.change(this.tierIndex(name));
+    return this;
+  }
+
+  /**
+   * Be notified when the tier changes
+   * @param {Function} listener - Called with this governor
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  change(index) {
+    if (index === this.index) return;
+    this.index = index;
+    this.applied = new WeakSet();
+    this.settling = true;
+    this.resetWindow();
+    for (const listener of this.listeners) {
+      listener(this);
+    }
+  }
+
+  update() {
+    // Hand the tier to scenes added since the last change
+    let changed = false;
+    for (const scene of this.app.scenes) {
+      if (scene === this || this.applied.has(scene)) continue;
+      this.applied.add(scene);
+      scene.setQuality?.(this.tier);
+      changed = true;
+    }
+    if (changed) this.applyEffects();
+  }
+
+  applyEffects() {
+    const effects = this.app.effects;
+    if (!effects) return;
+
+    for (const name of pipelineEffects) {
+      if (!effects.has(name)) continue;
+
+      // Only re-enable what the governor switched off
+      if (!this.tier[name] && effects.isEnabled(name)) {
+        effects.setEnabled(name, false);
+        this.disabledEffects.add(name);
+      } else if (this.tier[name] && this.disabledEffects.has(name)) {
+        effects.setEnabled(name, true);
+        this.disabledEffects.delete(name);
+      }
+    }
+  }
+
+  beginFrame(ticker) {
+    this.frameStart = performance.now();
+    if (ticker.deltaMS > MAX_FRAME_MS) return;
+
+    this.frames++;
+    this.intervalTime += ticker.deltaMS;
+  }
+
+  endFrame() {
+    this.workTime += performance.now() - this.frameStart;
+    if (this.intervalTime >= this.window * 1000) {
+      this.evaluate();
+    }
+  }
+
+  resetWindow() {
+    this.frames = 0;
+    this.intervalTime = 0;
+    this.workTime = 0;
+  }
+
+  /**
+   * Judge the finished measurement window and maybe change tier
+   */
+  evaluate() {
+    const budget = 1000 / this.targetFps;
+    const interval = this.intervalTime / this.frames;
+    const work = this.workTime / this.frames;
+    this.measured = { interval, work };
+    this.resetWindow();
+
+    if (!this.adaptive) return;
+    if (this.settling) {
+      this.settling = false;
+      return;
+    }
+
+    if (interval > budget * 1.15 && this.index > 0) {
+      this.goodWindows = 0;
+      this.strikes[this.index]++;
+      this.change(this.index - 1);
+    } else if (interval < budget * 1.05 && work < budget * 0.5 && this.index < this.tiers.length - 1) {
+      this.goodWindows++;
+      if (this.goodWindows >= this.upgradeAfter * (1 + this.strikes[this.index + 1])) {
+        this.goodWindows = 0;
+        this.change(this.index + 1);
+      }
+    } else {
+      this.goodWindows = 0;
+    }
+  }
+
+  /**
+   * Timing summary for debugging
+   */
+  get stats() {
+    return {
+      tier: this.tier.name,
+      adaptive: this.adaptive,
+      interval: this.measured.interval,
+      work: this.measured.work,
+      strikes: Object.fromEntries(this.tiers.map((tier, i) => [tier.name, this.strikes[i]]))
+    };
+  }
+
+  onDestroy() {
+    this.listeners.clear();
+    this.app.app.ticker.remove(this.beginFrame, this);
+    this.app.app.ticker.remove(this.endFrame, this);
+  }
+}
@@ -0,0 +1,138 @@
+import { getSceneType } from './registry.js';
+import { EffectPipeline } from '../effects/EffectPipeline.js';
+import { createEffect } from '../effects/postprocess.js';
+import { TimeOfDay } from '../environment/TimeOfDay.js';
+import { Weather } from '../environment/Weather.js';
+import { QualityGovernor } from './QualityGovernor.js';
+import { deriveSeed } from '../utils/random.js';
+
+/**
+ * Declarative scene compositions
+ *
+ * A composition is a plain JSON document:
+ *
+ * {
+ *   "name": "christmas",
+ *   "seed": "client-take-3",
+ *   "app": { "backgroundColor": "#0B0B1A" },
+ *   "timeOfDay": { "hour": 22 },
+ *   "weather": { "state": "flurries", "auto": true },
+ *   "quality": { "tier": "high", "targetFps": 60 },
+ *   "scenes": [
+ *     { "id": "sky", "type": "NightSky", "layer": "background", "order": 0, "options": { "starCount": 180 } }
+ *   ],
+ *   "postProcessing": [
+ *     { "type": "bloom", "layer": "scene", "options": { "threshold": 0.8 } },
+ *     { "type": "vignette", "options": { "intensity": 0.15 } }
+ *   ]
+ * }
+ *
+ * Post-processing entries apply in stack order; filters with a `layer` only
+ * affect that layer, the rest apply to the whole stage.
+ *
+ * Scenes are added in ascending `order` (ties keep document order), which is
+ * both their update order and their stacking order inside a layer.
+ *
+ * An optional `timeOfDay` section (TimeOfDay options) sets the hour that
+ * sky, aurora, ground and tree scenes follow; without it they stay at
+ * midnight. It stays at that hour unless it also sets `speed`, which runs a
+ * day/night cycle. Likewise an optional `weather` section (Weather options) drives
+ * snow density, wind, aurora visibility and haze from one state machine.
+ * An optional `quality` section (QualityGovernor options) scales particle
+ * counts, detail and expensive effects to hold the frame rate.
+ *
+ * When the composition has a `seed`, every scene without its own
+ * `options.seed` gets one derived from it and its id, so the whole
+ * composition is reproducible from a single value.
+ */
+
+/**
+ * Build a composition onto an initialized App
+ * @param {App} app - Initialized app (layers must exist)
+ * @param {Object} composition - Composition document
+ * @returns {{scenes: Object<string, Object>, effects: EffectPipeline, timeOfDay: TimeOfDay|null, weather: Weather|null, quality: QualityGovernor|null}}
+ *   Scene instances keyed by id, the effect pipeline, the day/night cycle, the weather and the quality governor
+ */
+export function loadComposition(app, composition) {
+  // Added first so scenes see this frame's lighting in their update()
+  const timeOfDay = composition.timeOfDay ? new TimeOfDay(app, composition.timeOfDay) : null;
+  const weather = composition.weather ? createWeather(app, composition) : null;
+  const quality = composition.quality ? new QualityGovernor(app, composition.quality) : null;
+
+  const entries = (composition.scenes || [])
+    .map((entry, index) => ({ entry, order: entry.order ?? index }))
+    .sort((a, b) => a.order - b.order)
+    .map(({ entry }) => entry);
+
+  const scenes = {};
+
+  for (const entry of entries) {
+    if (entry.enabled === false) continue;
+
+    const id = entry.id || entry.type;
+    const scene = createScene(app, entry, composition.seed);
+
+    if (scenes[id]) {
+      throw new Error(`Duplicate scene id "${id}" in composition "${composition.name || 'unnamed'}"`);
+    }
+
+    app.addScene(scene);
+    scenes[id] = scene;
+  }
+
+  const effects = createPipeline(app, composition.postProcessing);
+
+  return { scenes, effects, timeOfDay, weather, quality };
+}
+
+/**
+ * Weather follows the composition seed like scenes do
+ */
+function createWeather(app, composition) {
+  const options = { ...composition.weather };
+  if (options.seed == null && composition.seed != null) {
+    options.seed = deriveSeed(composition.seed, 'weather');
+  }
+  return new Weather(app, options);
+}
+
+/**
+ * Instantiate a single scene entry
+ */
+function createScene(app, entry, seed) {
+  const SceneClass = getSceneType(entry.type);
+  if (!SceneClass) {
+    throw new Error(`Unknown scene type "${entry.type}" - register it with registerSceneType()`);
+  }
+
+  if (entry.layer && !app.layers[entry.layer]) {
+    const layers = Object.keys(app.layers).join(', ');
+    throw new Error(`Unknown layer "${entry.layer}" for scene "${entry.id || entry.type}" (expected one of: ${layers})`);
+  }
+
+  const options = { ...entry.options };
+  if (entry.layer) options.layer = entry.layer;
+  if (options.seed == null && seed != null) {
+    options.seed = deriveSeed(seed, entry.id || entry.type);
+  }
+
+  return new SceneClass(options);
+}
+
+/**
+ * Build the effect pipeline from a post-processing stack, in stack order.
+ * Entries with `enabled: false` are created but start disabled, so they can be
+ * toggled on at runtime.
+ */
+function createPipeline(app, stack = []) {
+  const pipeline = new EffectPipeline(app);
+
+  for (const effect of stack) {
+    pipeline.add(effect.name || effect.type, createEffect(effect.type, app, effect.options), {
+      enabled: effect.enabled !== false,
+      target: effect.layer || 'stage'
+    });
+  }
+
+  return pipeline;
+}
@@ -1,2 +1,6 @@
 // Core exports
 export { App, createApp, getApp } from './App.js';
+export { registerSceneType, unregisterSceneType, getSceneType, listSceneTypes } from './registry.js';
+export { loadComposition } from './composition.js';
+export { QualityGovernor, qualityTiers } from './QualityGovernor.js';
+export { Pointer } from './Pointer.js';
@@ -0,0 +1,45 @@
+/**
+ * Scene type registry - maps names used in composition files to scene classes
+ */
+const sceneTypes = new Map();
+
+/**
+ * Register a scene class under a name
+ *
+ * Scenes with random layouts take a `seed` option (number or string), so the
+ * same seed always builds the same layout. Without one they pick a random
+ * seed and keep it as `scene.seed`, so a layout can be logged and reproduced.
+ * Compositions with a seed derive one per scene (see loadComposition).
+ *
+ * @param {string} name - Name referenced by the `type` field of a composition entry
+ * @param {Function} SceneClass - Constructor taking a single options object
+ */
+export function registerSceneType(name, SceneClass) {
+  if (typeof SceneClass !== 'function') {
+    throw new TypeError(`Scene type "${name}" must be a class or constructor function`);
+  }
+  sceneTypes.set(name, SceneClass);
+}
+
+/**
+ * Remove a registered scene type
+ */
+export function unregisterSceneType(name) {
+  sceneTypes.delete(name);
+}
+
+/**
+ * Look up a scene class by name
+ * @returns {Function|undefined}
+ */
+export function getSceneType(name) {
+  return sceneTypes.get(name);
+}
+
+/**
+ * Names of every registered scene type
+ * @returns {string[]}
+ */
+export function listSceneTypes() {
+  return [...sceneTypes.keys()];
+}
@@ -0,0 +1,328 @@
+import { christmasColors } from '../utils/color.js';
+import {
+  lightColors, bulbStyles, ornamentStyles, ORNAMENT_SIZE, toTreeSpace, colorToString
+} from '../scenes/decorations.js';
+import { saveLayout, clearSavedLayout, exportLayout, importLayout } from './storage.js';
+
+// Pixels beyond the tree outline where a dragged decoration still stays on
+const DROP_MARGIN = 12;
+
+const TRAY_STYLE = `
+.decorating-tray {
+  position: fixed; top: 12px; right: 12px; width: 220px; padding: 12px;
+  display: flex; flex-direction: column; gap: 10px;
+  font: 13px/1.4 system-ui, sans-serif; color: #F0F8FF;
+  background: rgba(15, 27, 61, 0.85); border: 1px solid rgba(240, 248, 255, 0.2);
+  border-radius: 8px; user-select: none;
+}
+.decorating-tray h2 { font-size: 14px; font-weight: 600; }
+.decorating-tray .row { display: flex; flex-wrap: wrap; gap: 6px; align-items: center; }
+.decorating-tray button, .decorating-tray select {
+  padding: 3px 8px; font: inherit; color: inherit; cursor: pointer;
+  background: rgba(240, 248, 255, 0.1); border: 1px solid rgba(240, 248, 255, 0.3); border-radius: 4px;
+}
+.decorating-tray button[aria-pressed="true"] { background: rgba(240, 248, 255, 0.35); }
+.decorating-tray .swatch { width: 22px; height: 22px; padding: 0; border-radius: 50%; }
+.decorating-tray input[type="range"] { flex: 1; }
+.decorating-tray .hint, .decorating-tray .status { font-size: 12px; opacity: 0.75; }
+`;
+
+/**
+ * Decorating mode for a ChristmasTree: drag ornaments, lights and the
+ * topper around, add new ones from a tray and keep the result
+ *
+ * Registers itself as a scene (like Pointer) so dragging follows
+ * app.pointer in update(). Clicking the tree adds the decoration set up in
+ * the tray, dragging moves one, and dropping it off the tree removes it.
+ * Every change is saved to localStorage under storageKey (read it back with
+ * loadSavedLayout); the tray also exports and imports layout files.
+ */
+export class DecoratingEditor {
+  /**
+   * @param {App} app
+   * @param {ChristmasTree} tree
+   * @param {Object} [options]
+   * @param {string} [options.storageKey='tree-layout'] - localStorage key for the layout
+   * @param {HTMLElement} [options.parent=document.body] - Where the tray goes
+   */
+  constructor(app, tree, options = {}) {
+    this.app = app;
+    this.tree = tree;
+    this.storageKey = options.storageKey || 'tree-layout';
+    this.parent = options.parent || null;
+
+    this.enabled = false;
+    this.tool = 'ornament'; // What clicking the tree adds: 'ornament' or 'light'
+    this.brushes = {
+      ornament: { color: christmasColors.ornaments[0], size: 9, style: 'ball' },
+      light: { color: lightColors[0], style: 'mini' }
+    };
+    this.dragging = null; // { kind, item, offsetX, offsetY, x, y }
+    this.tray = null;
+    this.status = '';
+
+    app.addScene(this);
+  }
+
+  /**
+   * Open the tray and start handling the pointer
+   */
+  enable() {
+    if (this.enabled) return this;
+    this.enabled = true;
+    this.disablePointer = this.app.pointer.enable();
+    this.unsubscribePress = this.app.pointer.onPress(point => this.press(point));
+    this.tray = this.createTray();
+    (this.parent ?? document.body).appendChild(this.tray);
+    return this;
+  }
+
+  /**
+   * Close the tray; the layout stays as edited
+   */
+  disable() {
+    if (!this.enabled) return this;
+    if (this.dragging) this.drop();
+    this.enabled = false;
+    this.disablePointer();
+    this.unsubscribePress();
+    this.tray.remove();
+    this.tray = null;
+    return this;
+  }
+
+  press(point) {
+    let hit = this.tree.decorationAt(point.x, point.y);
+    if (!hit) {
+      if (!this.tree.isOnTree(point.x, point.y)) return;
+      hit = this.add(point.x, point.y);
+    }
+
+    const position = this.positionOf(hit);
+    this.dragging = {
+      ...hit,
+      offsetX: position.x - point.x,
+      offsetY: position.y - point.y,
+      ...position
+    };
+  }
+
+  /**
+   * Where a decoration sits in screen pixels (an ornament's ball at rest)
+   */
+  positionOf({ kind, item }) {
+    if (kind === 'topper') return { x: this.tree.starX, y: this.tree.starY };
+    if (kind === 'ornament') return { x: item.x, y: item.y + item.length };
+    return { x: item.x, y: item.y };
+  }
+
+  /**
+   * Add the current tray decoration at a screen point
+   * @returns {{kind: string, item: Object}} The new decoration
+   */
+  add(x, y) {
+    const layout = this.tree.getLayout();
+    const point = toTreeSpace(this.tree.treeBounds, x, y);
+    const { height } = this.tree.treeBounds; // Layout sizes are fractions of it
+
+    if (this.tool === 'ornament') {
+      const { color, size, style } = this.brushes.ornament;
+      layout.ornaments.push({ ...point, color, style, size: size / height, thread: 8 / height });
+      this.tree.setLayout(layout);
+      return { kind: 'ornament', item: this.tree.ornaments.at(-1) };
+    }
+
+    const { color, style } = this.brushes.light;
+    layout.lights.push({ ...point, color, style, size: bulbStyles[style].size * this.tree.scale / height, depth: 1, strand: null });
+    this.tree.setLayout(layout);
+    // Unstranded lights come last (see ChristmasTree.layoutPlaced)
+    return { kind: 'light', item: this.tree.lights.at(-1) };
+  }
+
+  update() {
+    if (!this.dragging) return;
+
+    const pointer = this.app.pointer;
+    if (!pointer.pressed) {
+      this.drop();
+      return;
+    }
+
+    this.dragging.x = pointer.x + this.dragging.offsetX;
+    this.dragging.y = pointer.y + this.dragging.offsetY;
+    this.tree.moveDecoration(this.dragging, this.dragging.x, this.dragging.y);
+  }
+
+  /**
+   * Finish a drag: keep the decoration where it is, or remove it if it was
+   * dropped off the tree (the topper always stays)
+   */
+  drop() {
+    const { kind, item, x, y } = this.dragging;
+    this.dragging = null;
+
+    const layout = this.tree.getLayout();
+    if (kind !== 'topper' && !this.tree.isOnTree(x, y, DROP_MARGIN)) {
+      const [placed, items] = kind === 'ornament'
+        ? [this.tree.ornaments, layout.ornaments]
+        : [this.tree.lights, layout.lights];
+      const index = placed.indexOf(item);
+      if (index >= 0) items.splice(index, 1);
+    }
+    this.tree.setLayout(layout);
+    this.save();
+  }
+
+  save() {
+    const saved = saveLayout(this.storageKey, this.tree.getLayout());
+    this.setStatus(saved ? 'Saved' : 'Could not save in this browser');
+  }
+
+  /**
+   * Forget the saved layout and go back to generated decorations
+   * (not reset(), which App.seek calls on every scene)
+   */
+  resetLayout() {
+    clearSavedLayout(this.storageKey);
+    this.tree.setLayout(null);
+    this.setStatus('Reset to the generated decorations');
+  }
+
+  async import(file) {
+    try {
+      this.tree.setLayout(await importLayout(file));
+      this.save();
+      this.setStatus(`Loaded ${file.name}`);
+    } catch (error) {
+      console.error(error);
+      this.setStatus(error.message);
+    }
+  }
+
+  setStatus(text) {
+    this.status = text;
+    if (this.statusElement) this.statusElement.textContent = text;
+  }
+
+  createTray() {
+    if (!document.getElementById('decorating-tray-style')) {
+      const style = document.createElement('style');
+      style.id = 'decorating-tray-style';
+      style.textContent = TRAY_STYLE;
+      document.head.appendChild(style);
+    }
+
+    const tray = document.createElement('div');
+    tray.className = 'decorating-tray';
+    this.renderTray(tray);
+    return tray;
+  }
+
+  /**
+   * (Re)build the tray controls for the current tool
+   */
+  renderTray(tray = this.tray) {
+    tray.replaceChildren();
+    const brush = this.brushes[this.tool];
+    const rerender = () => this.renderTray(tray);
+
+    tray.appendChild(element('h2', { textContent: 'Decorate' }));
+
+    tray.appendChild(row(['ornament', 'light'].map(tool => element('button', {
+      textContent: tool === 'ornament' ? 'Ornaments' : 'Lights',
+      ariaPressed: String(tool === this.tool),
+      onclick: () => { this.tool = tool; rerender(); }
+    }))));
+
+    const palette = this.tool === 'ornament' ? christmasColors.ornaments : lightColors;
+    tray.appendChild(row([
+      ...palette.map(color => element('button', {
+        className: 'swatch',
+        title: colorToString(color),
+        ariaPressed: String(color === brush.color),
+        style: `background: ${colorToString(color)}`,
+        onclick: () => { brush.color = color; rerender(); }
+      })),
+      element('input', {
+        type: 'color',
+        title: 'Any color',
+        value: colorToString(brush.color).toLowerCase(),
+        onchange: (event) => { brush.color = parseInt(event.target.value.slice(1), 16); rerender(); }
+      })
+    ]));
+
+    const styles = this.tool === 'ornament' ? ornamentStyles : Object.keys(bulbStyles);
+    const controls = [
+      element('select', {
+        title: 'Style',
+        onchange: (event) => { brush.style = event.target.value; }
+      }, styles.map(style => element('option', { value: style, textContent: style, selected: style === brush.style })))
+    ];
+    if (this.tool === 'ornament') {
+      controls.push(element('input', {
+        type: 'range',
+        title: 'Size',
+        min: ORNAMENT_SIZE.min,
+        max: ORNAMENT_SIZE.max,
+        value: brush.size,
+        oninput: (event) => { brush.size = Number(event.target.value); }
+      }));
+    }
+    tray.appendChild(row(controls));
+
+    const fileInput = element('input', {
+      type: 'file',
+      accept: 'application/json,.json',
+      hidden: true,
+      onchange: (event) => {
+        const [file] = event.target.files;
+        if (file) this.import(file);
+        event.target.value = '';
+      }
+    });
+    tray.appendChild(row([
+      element('button', { textContent: 'Save', onclick: () => this.save() }),
+      element('button', { textContent: 'Export', onclick: () => exportLayout(this.tree.getLayout()) }),
+      element('button', { textContent: 'Import', onclick: () => fileInput.click() }),
+      element('button', { textContent: 'Reset', onclick: () => this.resetLayout() }),
+      fileInput
+    ]));
+
+    tray.appendChild(element('p', {
+      className: 'hint',
+      textContent: 'Click the tree to add, drag to move, drag off the tree to remove.'
+    }));
+    this.statusElement = tray.appendChild(element('p', { className: 'status', textContent: this.status }));
+  }
+
+  // The tree rebuilds its decorations on resize, so a dragged one is gone
+  onResize() {
+    this.dragging = null;
+  }
+
+  onDestroy() {
+    this.disable();
+  }
+}
+
+/**
+ * Create a DOM element with properties and children
+ */
+function element(tag, props = {}, children = []) {
+  const node = document.createElement(tag);
+  for (const [key, value] of Object.entries(props)) {
+    if (key === 'style') {
+      node.style.cssText = value;
+    } else if (key === 'ariaPressed') {
+      node.setAttribute('aria-pressed', value);
+    } else {
+      node[key] = value;
+    }
+  }
+  node.append(...children);
+  return node;
+}
+
+function row(children) {
+  return element('div', { className: 'row' }, children);
+}
@@ -0,0 +1,3 @@
+// Editor exports
+export { DecoratingEditor } from './DecoratingEditor.js';
+export * from './storage.js';
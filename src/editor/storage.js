@@ -0,0 +1,67 @@
+import { parseTreeLayout, serializeTreeLayout } from '../scenes/decorations.js';
+import { downloadBlob } from '../export/recorder.js';
+
+/**
+ * Saving and sharing tree layouts: localStorage for the layout a browser
+ * keeps using, JSON files for passing layouts around
+ */
+
+/**
+ * Layout saved under a key, or null if there is none (or it can't be read)
+ * @param {string} key - localStorage key
+ */
+export function loadSavedLayout(key) {
+  try {
+    const text = localStorage.getItem(key);
+    return text ? parseTreeLayout(JSON.parse(text)) : null;
+  } catch (error) {
+    console.warn(`Ignoring saved tree layout "${key}":`, error);
+    return null;
+  }
+}
+
+/**
+ * @param {string} key - localStorage key
+ * @param {Object} layout - From ChristmasTree.getLayout()
+ * @returns {boolean} Whether it was stored (storage can be full or disabled)
+ */
+export function saveLayout(key, layout) {
+  try {
+    localStorage.setItem(key, JSON.stringify(serializeTreeLayout(layout)));
+    return true;
+  } catch (error) {
+    console.warn(`Could not save tree layout "${key}":`, error);
+    return false;
+  }
+}
+
+export function clearSavedLayout(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch {
+    // Nothing saved if storage is unavailable
+  }
+}
+
+/**
+ * Download a layout as a JSON file
+ */
+export function exportLayout(layout, filename = 'tree-layout.json') {
+  const json = JSON.stringify(serializeTreeLayout(layout), null, 2);
+  downloadBlob(new Blob([json], { type: 'application/json' }), filename);
+}
+
+/**
+ * Read a layout from a JSON file (e.g. from an <input type="file">)
+ * @param {File} file
+ * @returns {Promise<Object>} Parsed layout; rejects if the file isn't a valid layout
+ */
+export async function importLayout(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not a JSON file`);
+  }
+  return parseTreeLayout(data);
+}
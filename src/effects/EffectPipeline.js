@@ -0,0 +1,278 @@
+import { Container, Filter } from 'pixi.js';
+import { clamp, smoothstep } from '../utils/math.js';
+
+/**
+ * Ordered post-processing stack for an App
+ *
+ * Effects are either Pixi Filters (applied to the whole stage, or to a
+ * single layer, in pipeline order) or display objects such as the vignette
+ * (drawn in the overlay layer, in pipeline order). Effects may optionally
+ * implement:
+ * - update(delta, elapsed) - called every frame
+ * - updateSize(width, height) - called on resize
+ * - setParams(values) / params - for live parameter changes; otherwise
+ *   tweened values are assigned as plain properties (e.g. filter.offset)
+ *
+ * The pipeline registers itself as a scene, so it receives update and resize
+ * calls like everything else.
+ */
+export class EffectPipeline {
+  constructor(app) {
+    this.app = app;
+    this.entries = [];
+    this.tweens = [];
+    this.targets = new Set(); // Containers whose filters the pipeline manages
+
+    // Overlay effects live in their own container so they can be reordered
+    this.overlay = new Container();
+    this.overlay.label = 'effect-pipeline';
+
+    app.addScene(this);
+  }
+
+  onAdd(app) {
+    app.layers.overlay.addChild(this.overlay);
+    app.effects = this;
+  }
+
+  /**
+   * Add an effect
+   * @param {string} name - Unique name used to refer to the effect later
+   * @param {Filter|Container} effect
+   * @param {Object} [options]
+   * @param {number} [options.index] - Position in the stack (default: end)
+   * @param {boolean} [options.enabled=true]
+   * @param {string|Container} [options.target='stage'] - Where a filter applies: the stage, a layer name, or any container
+   */
+  add(name, effect, { index = this.entries.length, enabled = true, target = 'stage' } = {}) {
+    if (this.has(name)) {
+      throw new Error(`Effect "${name}" is already in the pipeline`);
+    }
+
+    this.entries.splice(clamp(index, 0, this.entries.length), 0, {
+      name,
+      effect,
+      enabled,
+      isFilter: effect instanceof Filter,
+      target: this.resolveTarget(target)
+    });
+
+    effect.updateSize?.(this.app.width, this.app.height);
+    this.rebuild();
+    return this;
+  }
+
+  /**
+   * Remove an effect
+   * @param {string} name
+   * @param {boolean} [destroy=true] - Also destroy the effect
+   */
+  remove(name, destroy = true) {
+    const entry = this.entry(name);
+    this.entries.splice(this.entries.indexOf(entry), 1);
+    // Its tweens stop where they are; anyone awaiting them carries on
+    for (const tween of this.tweens) {
+      if (tween.entry === entry) tween.resolve();
+    }
+    this.tweens = this.tweens.filter(tween => tween.entry !== entry);
+    this.rebuild();
+
+    if (destroy) entry.effect.destroy?.();
+    return this;
+  }
+
+  /**
+   * Move an effect to a new position in the stack
+   */
+  move(name, index) {
+    const entry = this.entry(name);
+    this.entries.splice(this.entries.indexOf(entry), 1);
+    this.entries.splice(clamp(index, 0, this.entries.length), 0, entry);
+    this.rebuild();
+    return this;
+  }
+
+  /**
+   * Enable or disable an effect without removing it
+   */
+  setEnabled(name, enabled) {
+    this.entry(name).enabled = enabled;
+    this.rebuild();
+    return this;
+  }
+
+  /**
+   * Flip an effect on/off
+   */
+  toggle(name) {
+    return this.setEnabled(name, !this.entry(name).enabled);
+  }
+
+  /**
+   * Get an effect by name
+   * @returns {Filter|Container|undefined}
+   */
+  get(name) {
+    return this.entries.find(entry => entry.name === name)?.effect;
+  }
+
+  has(name) {
+    return this.entries.some(entry => entry.name === name);
+  }
+
+  isEnabled(name) {
+    return this.entry(name).enabled;
+  }
+
+  /**
+   * Effect names in stack order
+   */
+  get names() {
+    return this.entries.map(entry => entry.name);
+  }
+
+  /**
+   * Set effect parameters immediately
+   * @param {string} name
+   * @param {Object} values - e.g. { intensity: 0.3 }
+   */
+  set(name, values) {
+    applyParams(this.entry(name).effect, values);
+    return this;
+  }
+
+  /**
+   * Animate numeric effect parameters over time
+   * @param {string} name
+   * @param {Object} values - Target values, e.g. { saturation: 0.6, contrast: 1.2 }
+   * @param {Object} [options]
+   * @param {number} [options.duration=1] - Seconds of scene time
+   * @param {Function} [options.easing=smoothstep] - Maps 0-1 progress to 0-1
+   * @returns {Promise<void>} Resolves when the tween completes (or is replaced, or its effect removed)
+   */
+  tween(name, values, { duration = 1, easing = (t) => smoothstep(0, 1, t) } = {}) {
+    const entry = this.entry(name);
+    const from = {};
+    for (const key of Object.keys(values)) {
+      from[key] = readParam(entry.effect, key);
+    }
+
+    // A new tween on the same parameters takes over from the old one
+    for (const tween of this.tweens) {
+      if (tween.entry === entry) {
+        for (const key of Object.keys(values)) delete tween.to[key];
+      }
+    }
+
+    return new Promise((resolve) => {
+      this.tweens.push({ entry, from, to: { ...values }, time: 0, duration, easing, resolve });
+    });
+  }
+
+  update(delta, elapsed) {
+    // Advance tweens
+    for (let i = this.tweens.length - 1; i >= 0; i--) {
+      const tween = this.tweens[i];
+      tween.time += delta;
+
+      const t = tween.duration > 0 ? clamp(tween.time / tween.duration, 0, 1) : 1;
+      const eased = tween.easing(t);
+      const values = {};
+      for (const key of Object.keys(tween.to)) {
+        values[key] = tween.from[key] + (tween.to[key] - tween.from[key]) * eased;
+      }
+      applyParams(tween.entry.effect, values);
+
+      if (t >= 1 || !Object.keys(tween.to).length) {
+        this.tweens.splice(i, 1);
+        tween.resolve();
+      }
+    }
+
+    // Animated effects
+    for (const entry of this.entries) {
+      if (entry.enabled) entry.effect.update?.(delta, elapsed);
+    }
+  }
+
+  onResize(width, height) {
+    for (const entry of this.entries) {
+      entry.effect.updateSize?.(width, height);
+    }
+  }
+
+  /**
+   * Re-apply stage filters and overlay order after any change to the stack
+   */
+  rebuild() {
+    const stage = this.app.app.stage;
+    const filtersByTarget = new Map();
+
+    for (const entry of this.entries) {
+      if (!entry.isFilter) continue;
+      this.targets.add(entry.target);
+      if (!entry.enabled) continue;
+
+      if (!filtersByTarget.has(entry.target)) filtersByTarget.set(entry.target, []);
+      filtersByTarget.get(entry.target).push(entry.effect);
+    }
+
+    for (const target of this.targets) {
+      const filters = filtersByTarget.get(target);
+      target.filters = filters || null;
+    }
+
+    // Full-screen filters: skip measuring the stage bounds every frame
+    stage.filterArea = filtersByTarget.has(stage) ? this.app.app.screen : null;
+
+    this.overlay.removeChildren();
+    for (const entry of this.entries) {
+      if (entry.isFilter) continue;
+      entry.effect.visible = entry.enabled;
+      this.overlay.addChild(entry.effect);
+    }
+  }
+
+  resolveTarget(target) {
+    if (target === 'stage') return this.app.app.stage;
+    if (typeof target !== 'string') return target;
+
+    const layer = this.app.layers[target];
+    if (!layer) {
+      throw new Error(`Unknown effect target "${target}" (expected "stage" or one of: ${Object.keys(this.app.layers).join(', ')})`);
+    }
+    return layer;
+  }
+
+  entry(name) {
+    const entry = this.entries.find(e => e.name === name);
+    if (!entry) {
+      throw new Error(`No effect named "${name}" in the pipeline (have: ${this.names.join(', ')})`);
+    }
+    return entry;
+  }
+
+  onDestroy() {
+    for (const tween of this.tweens) tween.resolve();
+    this.tweens = [];
+    for (const entry of this.entries) {
+      if (entry.isFilter) entry.effect.destroy();
+    }
+    this.entries = [];
+
+    // Overlay effects are destroyed with their container
+    this.overlay.destroy({ children: true });
+  }
+}
+
+function readParam(effect, key) {
+  return effect.params && key in effect.params ? effect.params[key] : effect[key];
+}
+
+function applyParams(effect, values) {
+  if (effect.setParams) {
+    effect.setParams(values);
+  } else {
+    Object.assign(effect, values);
+  }
+}
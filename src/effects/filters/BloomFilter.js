@@ -0,0 +1,183 @@
+import { Filter, GlProgram, GpuProgram, BlurFilter, Texture, TexturePool, defaultFilterVert } from 'pixi.js';
+import { wgslFilterPrelude } from './shaderChunks.js';
+
+const extractFragment = /* glsl */ `
+in vec2 vTextureCoord;
+out vec4 finalColor;
+
+uniform sampler2D uTexture;
+uniform float uThreshold;
+uniform float uKnee;
+
+void main() {
+  vec4 color = texture(uTexture, vTextureCoord);
+  vec3 rgb = color.a > 0.0 ? color.rgb / color.a : color.rgb;
+
+  // Soft threshold on luminance so the cutoff doesn't band
+  float luminance = dot(rgb, vec3(0.2126, 0.7152, 0.0722));
+  float weight = smoothstep(uThreshold, uThreshold + uKnee, luminance);
+
+  finalColor = color * weight;
+}
+`;
+
+const extractSource = /* wgsl */ `
+${wgslFilterPrelude}
+
+struct ExtractUniforms {
+  uThreshold: f32,
+  uKnee: f32,
+};
+
+@group(1) @binding(0) var<uniform> extractUniforms: ExtractUniforms;
+
+@fragment
+fn mainFragment(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
+  let color = textureSample(uTexture, uSampler, uv);
+  var rgb = color.rgb;
+  if (color.a > 0.0) {
+    rgb = rgb / color.a;
+  }
+
+  let luminance = dot(rgb, vec3(0.2126, 0.7152, 0.0722));
+  let weight = smoothstep(extractUniforms.uThreshold, extractUniforms.uThreshold + extractUniforms.uKnee, luminance);
+
+  return color * weight;
+}
+`;
+
+const compositeFragment = /* glsl */ `
+in vec2 vTextureCoord;
+out vec4 finalColor;
+
+uniform sampler2D uTexture;
+uniform sampler2D uBloomTexture;
+uniform float uIntensity;
+
+void main() {
+  vec4 color = texture(uTexture, vTextureCoord);
+  vec4 bloom = texture(uBloomTexture, vTextureCoord);
+
+  // Additive composite (premultiplied, so alpha grows with the glow)
+  finalColor = min(color + bloom * uIntensity, vec4(1.0));
+}
+`;
+
+const compositeSource = /* wgsl */ `
+${wgslFilterPrelude}
+
+struct BloomUniforms {
+  uIntensity: f32,
+};
+
+@group(1) @binding(0) var<uniform> bloomUniforms: BloomUniforms;
+@group(1) @binding(1) var uBloomTexture: texture_2d<f32>;
+@group(1) @binding(2) var uBloomSampler: sampler;
+
+@fragment
+fn mainFragment(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
+  let color = textureSample(uTexture, uSampler, uv);
+  let bloom = textureSample(uBloomTexture, uBloomSampler, uv);
+
+  return min(color + bloom * bloomUniforms.uIntensity, vec4(1.0));
+}
+`;
+
+/**
+ * Bright-pass filter used as the first bloom stage
+ */
+class BloomExtractFilter extends Filter {
+  constructor({ threshold, knee }) {
+    super({
+      glProgram: GlProgram.from({ vertex: defaultFilterVert, fragment: extractFragment, name: 'bloom-extract-filter' }),
+      gpuProgram: GpuProgram.from({
+        vertex: { source: extractSource, entryPoint: 'mainVertex' },
+        fragment: { source: extractSource, entryPoint: 'mainFragment' }
+      }),
+      resources: {
+        extractUniforms: {
+          uThreshold: { value: threshold, type: 'f32' },
+          uKnee: { value: knee, type: 'f32' }
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Bloom: bright pass -> blur -> additive composite over the original
+ *
+ * Put it on a whole layer with a threshold so only bright pixels glow, or on
+ * a container that holds only light sources (tree lights, moon) with
+ * threshold 0 so everything in it glows.
+ */
+export class BloomFilter extends Filter {
+  /**
+   * @param {Object} options
+   * @param {number} [options.threshold=0.6] - Luminance (0-1) above which pixels start to glow
+   * @param {number} [options.knee=0.2] - Width of the soft threshold ramp
+   * @param {number} [options.strength=12] - Blur radius of the glow
+   * @param {number} [options.quality=4] - Blur passes (more = smoother, slower)
+   * @param {number} [options.intensity=1] - Glow brightness
+   */
+  constructor({ threshold = 0.6, knee = 0.2, strength = 12, quality = 4, intensity = 1 } = {}) {
+    super({
+      glProgram: GlProgram.from({ vertex: defaultFilterVert, fragment: compositeFragment, name: 'bloom-filter' }),
+      gpuProgram: GpuProgram.from({
+        vertex: { source: compositeSource, entryPoint: 'mainVertex' },
+        fragment: { source: compositeSource, entryPoint: 'mainFragment' }
+      }),
+      resources: {
+        bloomUniforms: {
+          uIntensity: { value: intensity, type: 'f32' }
+        },
+        uBloomTexture: Texture.WHITE.source,
+        uBloomSampler: Texture.WHITE.source.style
+      }
+    });
+
+    this.extractFilter = new BloomExtractFilter({ threshold, knee });
+    this.blurFilter = new BlurFilter({ strength, quality });
+
+    // Leave room for the glow to spread past the content bounds
+    this.padding = this.blurFilter.padding;
+  }
+
+  apply(filterManager, input, output, clearMode) {
+    const bright = TexturePool.getSameSizeTexture(input);
+    this.extractFilter.apply(filterManager, input, bright, true);
+
+    const blurred = TexturePool.getSameSizeTexture(input);
+    this.blurFilter.apply(filterManager, bright, blurred, true);
+
+    this.resources.uBloomTexture = blurred.source;
+    filterManager.applyFilter(this, input, output, clearMode);
+
+    TexturePool.returnTexture(blurred);
+    TexturePool.returnTexture(bright);
+  }
+
+  get threshold() { return this.extractFilter.resources.extractUniforms.uniforms.uThreshold; }
+  set threshold(value) { this.extractFilter.resources.extractUniforms.uniforms.uThreshold = value; }
+
+  get knee() { return this.extractFilter.resources.extractUniforms.uniforms.uKnee; }
+  set knee(value) { this.extractFilter.resources.extractUniforms.uniforms.uKnee = value; }
+
+  get intensity() { return this.resources.bloomUniforms.uniforms.uIntensity; }
+  set intensity(value) { this.resources.bloomUniforms.uniforms.uIntensity = value; }
+
+  get strength() { return this.blurFilter.strength; }
+  set strength(value) {
+    this.blurFilter.strength = value;
+    this.padding = this.blurFilter.padding;
+  }
+
+  get quality() { return this.blurFilter.quality; }
+  set quality(value) { this.blurFilter.quality = value; }
+
+  destroy() {
+    this.extractFilter.destroy();
+    this.blurFilter.destroy();
+    super.destroy();
+  }
+}
@@ -0,0 +1,95 @@
+import { Filter, GlProgram, GpuProgram, defaultFilterVert } from 'pixi.js';
+import { wgslFilterPrelude } from './shaderChunks.js';
+
+const fragment = /* glsl */ `
+in vec2 vTextureCoord;
+out vec4 finalColor;
+
+uniform sampler2D uTexture;
+uniform vec4 uInputSize;
+uniform vec4 uInputClamp;
+uniform vec4 uOutputFrame;
+uniform float uOffset;
+uniform float uFalloff;
+
+void main() {
+  // Position relative to the screen center, -1 to 1 on each axis
+  vec2 center = uOutputFrame.zw * 0.5;
+  vec2 fromCenter = (vTextureCoord * uInputSize.xy - center) / center;
+
+  // Offset grows with distance from the center; zero in the middle
+  vec2 shift = fromCenter * pow(length(fromCenter), uFalloff) * uOffset * uInputSize.zw;
+
+  vec4 red = texture(uTexture, clamp(vTextureCoord + shift, uInputClamp.xy, uInputClamp.zw));
+  vec4 green = texture(uTexture, vTextureCoord);
+  vec4 blue = texture(uTexture, clamp(vTextureCoord - shift, uInputClamp.xy, uInputClamp.zw));
+
+  finalColor = vec4(red.r, green.g, blue.b, max(max(red.a, green.a), blue.a));
+}
+`;
+
+const source = /* wgsl */ `
+${wgslFilterPrelude}
+
+struct AberrationUniforms {
+  uOffset: f32,
+  uFalloff: f32,
+};
+
+@group(1) @binding(0) var<uniform> aberrationUniforms: AberrationUniforms;
+
+@fragment
+fn mainFragment(
+  @location(0) uv: vec2<f32>,
+  @builtin(position) position: vec4<f32>
+) -> @location(0) vec4<f32> {
+  let center = gfu.uOutputFrame.zw * 0.5;
+  let fromCenter = (uv * gfu.uInputSize.xy - center) / center;
+
+  let shift = fromCenter * pow(length(fromCenter), aberrationUniforms.uFalloff)
+    * aberrationUniforms.uOffset * gfu.uInputSize.zw;
+
+  let red = textureSample(uTexture, uSampler, clamp(uv + shift, gfu.uInputClamp.xy, gfu.uInputClamp.zw));
+  let green = textureSample(uTexture, uSampler, uv);
+  let blue = textureSample(uTexture, uSampler, clamp(uv - shift, gfu.uInputClamp.xy, gfu.uInputClamp.zw));
+
+  return vec4(red.r, green.g, blue.b, max(max(red.a, green.a), blue.a));
+}
+`;
+
+/**
+ * Radial chromatic aberration: red and blue channels are pushed apart
+ * toward the screen edges, like a cheap analog lens
+ */
+export class ChromaticAberrationFilter extends Filter {
+  /**
+   * @param {Object} options
+   * @param {number} [options.offset=2] - Channel offset in pixels at the screen edge
+   * @param {number} [options.falloff=1] - How quickly the offset grows toward the edges (0 = uniform)
+   */
+  constructor({ offset = 2, falloff = 1 } = {}) {
+    super({
+      glProgram: GlProgram.from({ vertex: defaultFilterVert, fragment, name: 'chromatic-aberration-filter' }),
+      gpuProgram: GpuProgram.from({
+        vertex: { source, entryPoint: 'mainVertex' },
+        fragment: { source, entryPoint: 'mainFragment' }
+      }),
+      resources: {
+        aberrationUniforms: {
+          uOffset: { value: offset, type: 'f32' },
+          uFalloff: { value: falloff, type: 'f32' }
+        }
+      }
+    });
+  }
+
+  get uniforms() {
+    return this.resources.aberrationUniforms.uniforms;
+  }
+
+  get offset() { return this.uniforms.uOffset; }
+  set offset(value) { this.uniforms.uOffset = value; }
+
+  get falloff() { return this.uniforms.uFalloff; }
+  set falloff(value) { this.uniforms.uFalloff = value; }
+}
@@ -0,0 +1,112 @@
+import { Filter, GlProgram, GpuProgram, defaultFilterVert } from 'pixi.js';
+import { wgslFilterPrelude, glslHash, wgslHash } from './shaderChunks.js';
+
+const fragment = /* glsl */ `
+in vec2 vTextureCoord;
+out vec4 finalColor;
+
+uniform sampler2D uTexture;
+uniform float uTime;
+uniform float uIntensity;
+uniform float uSize;
+uniform float uFps;
+
+${glslHash}
+
+void main() {
+  vec4 color = texture(uTexture, vTextureCoord);
+
+  // One random value per grain cell, re-rolled uFps times per second
+  vec2 cell = floor(gl_FragCoord.xy / uSize);
+  float grain = hash13(vec3(cell, floor(uTime * uFps)));
+
+  // Blend toward white by the grain amount (colors are premultiplied)
+  color.rgb += (vec3(color.a) - color.rgb) * grain * uIntensity;
+
+  finalColor = color;
+}
+`;
+
+const source = /* wgsl */ `
+${wgslFilterPrelude}
+
+struct GrainUniforms {
+  uTime: f32,
+  uIntensity: f32,
+  uSize: f32,
+  uFps: f32,
+};
+
+@group(1) @binding(0) var<uniform> grainUniforms: GrainUniforms;
+
+${wgslHash}
+
+@fragment
+fn mainFragment(
+  @location(0) uv: vec2<f32>,
+  @builtin(position) position: vec4<f32>
+) -> @location(0) vec4<f32> {
+  var color = textureSample(uTexture, uSampler, uv);
+
+  let cell = floor(position.xy / grainUniforms.uSize);
+  let grain = hash13(vec3(cell, floor(grainUniforms.uTime * grainUniforms.uFps)));
+
+  color = vec4(color.rgb + (vec3(color.a) - color.rgb) * grain * grainUniforms.uIntensity, color.a);
+
+  return color;
+}
+`;
+
+/**
+ * Animated film grain computed on the GPU
+ * Advance `time` every frame (seconds) to animate the grain
+ */
+export class FilmGrainFilter extends Filter {
+  /**
+   * @param {Object} options
+   * @param {number} [options.opacity=0.05] - Grain strength (0-1)
+   * @param {number} [options.scale=2] - Grain cell size in pixels
+   * @param {number} [options.fps=24] - How often the grain pattern changes per second
+   */
+  constructor({ opacity = 0.05, scale = 2, fps = 24 } = {}) {
+    super({
+      glProgram: GlProgram.from({ vertex: defaultFilterVert, fragment, name: 'film-grain-filter' }),
+      gpuProgram: GpuProgram.from({
+        vertex: { source, entryPoint: 'mainVertex' },
+        fragment: { source, entryPoint: 'mainFragment' }
+      }),
+      resources: {
+        grainUniforms: {
+          uTime: { value: 0, type: 'f32' },
+          uIntensity: { value: opacity, type: 'f32' },
+          uSize: { value: scale, type: 'f32' },
+          uFps: { value: fps, type: 'f32' }
+        }
+      }
+    });
+  }
+
+  get uniforms() {
+    return this.resources.grainUniforms.uniforms;
+  }
+
+  /**
+   * Follow scene time (called by EffectPipeline every frame)
+   */
+  update(delta, elapsed) {
+    this.time = elapsed;
+  }
+
+  /** Time in seconds driving the grain animation */
+  get time() { return this.uniforms.uTime; }
+  set time(value) { this.uniforms.uTime = value; }
+
+  get opacity() { return this.uniforms.uIntensity; }
+  set opacity(value) { this.uniforms.uIntensity = value; }
+
+  get scale() { return this.uniforms.uSize; }
+  set scale(value) { this.uniforms.uSize = Math.max(1, value); }
+
+  get fps() { return this.uniforms.uFps; }
+  set fps(value) { this.uniforms.uFps = value; }
+}
@@ -0,0 +1,179 @@
+import { Filter, GlProgram, GpuProgram, defaultFilterVert } from 'pixi.js';
+import { wgslFilterPrelude } from './shaderChunks.js';
+import { builtinLUTs, createLUTTexture, getLUT, listLUTs, loadCubeLUT } from '../lut.js';
+
+const fragment = /* glsl */ `
+in vec2 vTextureCoord;
+out vec4 finalColor;
+
+uniform sampler2D uTexture;
+uniform sampler2D uLutTexture;
+uniform vec3 uDomainMin;
+uniform float uIntensity;
+uniform vec3 uDomainMax;
+uniform float uLutSize;
+
+// The LUT is stored as blue slices laid side by side; the GPU interpolates
+// red and green within a slice, blue is interpolated here between two slices
+vec3 lookup(vec3 color) {
+  float maxIndex = uLutSize - 1.0;
+  float blue = color.b * maxIndex;
+  float slice0 = floor(blue);
+  float slice1 = min(slice0 + 1.0, maxIndex);
+
+  vec2 texel = vec2(color.r * maxIndex + 0.5, color.g * maxIndex + 0.5);
+  vec2 scale = vec2(1.0 / (uLutSize * uLutSize), 1.0 / uLutSize);
+
+  vec3 a = texture(uLutTexture, (texel + vec2(slice0 * uLutSize, 0.0)) * scale).rgb;
+  vec3 b = texture(uLutTexture, (texel + vec2(slice1 * uLutSize, 0.0)) * scale).rgb;
+
+  return mix(a, b, blue - slice0);
+}
+
+void main() {
+  vec4 color = texture(uTexture, vTextureCoord);
+  vec3 rgb = color.rgb / max(color.a, 1e-5);
+  vec3 graded = lookup(clamp((rgb - uDomainMin) / (uDomainMax - uDomainMin), 0.0, 1.0));
+
+  finalColor = vec4(mix(rgb, graded, uIntensity) * color.a, color.a);
+}
+`;
+
+const source = /* wgsl */ `
+${wgslFilterPrelude}
+
+struct LutUniforms {
+  uDomainMin: vec3<f32>,
+  uIntensity: f32,
+  uDomainMax: vec3<f32>,
+  uLutSize: f32,
+};
+
+@group(1) @binding(0) var<uniform> lutUniforms: LutUniforms;
+@group(1) @binding(1) var uLutTexture: texture_2d<f32>;
+@group(1) @binding(2) var uLutSampler: sampler;
+
+fn lookup(color: vec3<f32>) -> vec3<f32> {
+  let size = lutUniforms.uLutSize;
+  let maxIndex = size - 1.0;
+  let blue = color.b * maxIndex;
+  let slice0 = floor(blue);
+  let slice1 = min(slice0 + 1.0, maxIndex);
+
+  let texel = vec2(color.r * maxIndex + 0.5, color.g * maxIndex + 0.5);
+  let scale = vec2(1.0 / (size * size), 1.0 / size);
+
+  let a = textureSample(uLutTexture, uLutSampler, (texel + vec2(slice0 * size, 0.0)) * scale).rgb;
+  let b = textureSample(uLutTexture, uLutSampler, (texel + vec2(slice1 * size, 0.0)) * scale).rgb;
+
+  return mix(a, b, blue - slice0);
+}
+
+@fragment
+fn mainFragment(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
+  let color = textureSample(uTexture, uSampler, uv);
+  let rgb = color.rgb / max(color.a, 1e-5);
+
+  let domain = (rgb - lutUniforms.uDomainMin) / (lutUniforms.uDomainMax - lutUniforms.uDomainMin);
+  let graded = lookup(clamp(domain, vec3(0.0), vec3(1.0)));
+
+  return vec4(mix(rgb, graded, lutUniforms.uIntensity) * color.a, color.a);
+}
+`;
+
+/**
+ * Color grading through a 3D lookup table, e.g. a .cube exported from
+ * Resolve or Photoshop
+ */
+export class LutFilter extends Filter {
+  /**
+   * @param {Object} options
+   * @param {Object|string} [options.lut='identity'] - LUT data (see lut.js) or the name of a built-in/bundled LUT
+   * @param {number} [options.intensity=1] - Blend between the original (0) and graded (1) image
+   */
+  constructor({ lut = 'identity', intensity = 1 } = {}) {
+    // Catch a mistyped name here rather than in a rejected promise
+    if (typeof lut === 'string' && !listLUTs().includes(lut)) {
+      throw new Error(`Unknown LUT "${lut}" (expected one of: ${listLUTs().join(', ')})`);
+    }
+
+    const initial = typeof lut === 'string' ? builtinLUTs.identity() : lut;
+    const texture = createLUTTexture(initial);
+
+    super({
+      glProgram: GlProgram.from({ vertex: defaultFilterVert, fragment, name: 'lut-filter' }),
+      gpuProgram: GpuProgram.from({
+        vertex: { source, entryPoint: 'mainVertex' },
+        fragment: { source, entryPoint: 'mainFragment' }
+      }),
+      resources: {
+        lutUniforms: {
+          uDomainMin: { value: new Float32Array(initial.domainMin), type: 'vec3<f32>' },
+          uIntensity: { value: intensity, type: 'f32' },
+          uDomainMax: { value: new Float32Array(initial.domainMax), type: 'vec3<f32>' },
+          uLutSize: { value: initial.size, type: 'f32' }
+        },
+        uLutTexture: texture.source,
+        uLutSampler: texture.source.style
+      }
+    });
+
+    this.lutTexture = texture;
+    this.lut = initial;
+
+    // Named LUTs may need fetching; the image stays ungraded until then, or if it fails
+    this.ready = typeof lut === 'string' ? this.use(lut) : Promise.resolve(this);
+    this.ready.catch(error => console.error(`LutFilter: could not load LUT "${lut}"`, error));
+  }
+
+  get uniforms() {
+    return this.resources.lutUniforms.uniforms;
+  }
+
+  get intensity() { return this.uniforms.uIntensity; }
+  set intensity(value) { this.uniforms.uIntensity = value; }
+
+  /**
+   * Swap in new LUT data
+   * @param {Object} lut - { size, domainMin, domainMax, data } as returned by parseCubeLUT
+   */
+  setLUT(lut) {
+    // A fetch may finish after the filter was removed from the pipeline
+    if (this.destroyed) return this;
+
+    const texture = createLUTTexture(lut);
+
+    this.lutTexture.destroy(true);
+    this.lutTexture = texture;
+    this.lut = lut;
+
+    this.resources.uLutTexture = texture.source;
+    this.resources.uLutSampler = texture.source.style;
+    this.uniforms.uDomainMin.set(lut.domainMin);
+    this.uniforms.uDomainMax.set(lut.domainMax);
+    this.uniforms.uLutSize = lut.size;
+    return this;
+  }
+
+  /**
+   * Switch to a built-in or bundled LUT by name
+   * @returns {Promise<LutFilter>}
+   */
+  async use(name) {
+    return this.setLUT(await getLUT(name));
+  }
+
+  /**
+   * Load a .cube file from a URL
+   * @returns {Promise<LutFilter>}
+   */
+  async load(url) {
+    return this.setLUT(await loadCubeLUT(url));
+  }
+
+  destroy() {
+    this.lutTexture.destroy(true);
+    this.destroyed = true;
+    super.destroy();
+  }
+}
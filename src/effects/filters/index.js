@@ -0,0 +1,5 @@
+// Filter exports
+export { FilmGrainFilter } from './FilmGrainFilter.js';
+export { ChromaticAberrationFilter } from './ChromaticAberrationFilter.js';
+export { BloomFilter } from './BloomFilter.js';
+export { LutFilter } from './LutFilter.js';
@@ -1,2 +1,5 @@
 // Effects exports
 export * from './postprocess.js';
+export { EffectPipeline } from './EffectPipeline.js';
+export * from './filters/index.js';
+export * from './lut.js';
@@ -0,0 +1,200 @@
+import { BufferImageSource, Texture } from 'pixi.js';
+import { clamp, smoothstep } from '../utils/math.js';
+
+/**
+ * 3D color lookup tables (LUTs)
+ *
+ * A LUT is { title, size, domainMin, domainMax, data } where data holds
+ * size^3 RGB triplets (0-1) in .cube order: red changes fastest, then green,
+ * then blue.
+ */
+
+/**
+ * Parse an Adobe/Resolve .cube file (3D LUTs only)
+ * @param {string} text - File contents
+ * @returns {{title: string, size: number, domainMin: number[], domainMax: number[], data: Float32Array}}
+ */
+export function parseCubeLUT(text) {
+  let title = '';
+  let size = 0;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  let data = null;
+  let count = 0;
+
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const [keyword, ...rest] = line.split(/\s+/);
+
+    if (keyword === 'TITLE') {
+      title = line.slice(5).trim().replace(/^"|"$/g, '');
+    } else if (keyword === 'LUT_3D_SIZE') {
+      size = parseInt(rest[0], 10);
+      data = new Float32Array(size * size * size * 3);
+    } else if (keyword === 'LUT_1D_SIZE') {
+      throw new Error('parseCubeLUT: 1D LUTs are not supported, export a 3D LUT instead');
+    } else if (keyword === 'DOMAIN_MIN') {
+      domainMin = rest.map(Number);
+    } else if (keyword === 'DOMAIN_MAX') {
+      domainMax = rest.map(Number);
+    } else if (/^[-+.\d]/.test(keyword)) {
+      if (!data) {
+        throw new Error(`parseCubeLUT: data before LUT_3D_SIZE on line ${i + 1}`);
+      }
+      if (count >= size * size * size) {
+        throw new Error(`parseCubeLUT: more than ${size}^3 entries`);
+      }
+      data[count * 3] = Number(keyword);
+      data[count * 3 + 1] = Number(rest[0]);
+      data[count * 3 + 2] = Number(rest[1]);
+      count++;
+    }
+    // Other keywords (LUT_IN_VIDEO_RANGE etc.) are ignored
+  }
+
+  if (!data) {
+    throw new Error('parseCubeLUT: missing LUT_3D_SIZE');
+  }
+  if (count !== size * size * size) {
+    throw new Error(`parseCubeLUT: expected ${size * size * size} entries, found ${count}`);
+  }
+
+  return { title, size, domainMin, domainMax, data };
+}
+
+/**
+ * Fetch and parse a .cube file
+ * @param {string} url - e.g. from `import url from './grade.cube?url'`
+ */
+export async function loadCubeLUT(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`loadCubeLUT: ${url} returned ${response.status}`);
+  }
+  return parseCubeLUT(await response.text());
+}
+
+/**
+ * Build a LUT from a color transform
+ * @param {Function} transform - (r, g, b) => [r, g, b], all 0-1
+ * @param {number} [size=17] - Grid points per axis
+ * @param {string} [title]
+ */
+export function generateLUT(transform, size = 17, title = '') {
+  const data = new Float32Array(size * size * size * 3);
+  let i = 0;
+
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        const out = transform(r / (size - 1), g / (size - 1), b / (size - 1));
+        data[i++] = out[0];
+        data[i++] = out[1];
+        data[i++] = out[2];
+      }
+    }
+  }
+
+  return { title, size, domainMin: [0, 0, 0], domainMax: [1, 1, 1], data };
+}
+
+/**
+ * Lay a LUT out as a 2D texture strip: `size` slices of size x size, one per
+ * blue value, side by side (width = size^2, height = size)
+ * @returns {Texture}
+ */
+export function createLUTTexture(lut) {
+  const { size, data } = lut;
+  const pixels = new Uint8Array(size * size * size * 4);
+
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        const src = (r + g * size + b * size * size) * 3;
+        const dst = (r + b * size + g * size * size) * 4;
+        pixels[dst] = Math.round(clamp(data[src], 0, 1) * 255);
+        pixels[dst + 1] = Math.round(clamp(data[src + 1], 0, 1) * 255);
+        pixels[dst + 2] = Math.round(clamp(data[src + 2], 0, 1) * 255);
+        pixels[dst + 3] = 255;
+      }
+    }
+  }
+
+  const source = new BufferImageSource({
+    resource: pixels,
+    width: size * size,
+    height: size,
+    format: 'rgba8unorm',
+    scaleMode: 'linear'
+  });
+
+  return new Texture({ source });
+}
+
+const luma = (r, g, b) => r * 0.2126 + g * 0.7152 + b * 0.0722;
+const mix = (a, b, t) => a + (b - a) * t;
+
+/**
+ * Built-in lofi grades, generated on demand
+ */
+export const builtinLUTs = {
+  identity: () => generateLUT((r, g, b) => [r, g, b], 2, 'Identity'),
+
+  // Warm lamp-lit shadows, cool blue highlights, gently lifted blacks
+  warmNight: () => generateLUT((r, g, b) => {
+    const l = luma(r, g, b);
+    const shadow = 1 - smoothstep(0, 0.5, l);
+    const highlight = smoothstep(0.5, 1, l);
+    return [
+      0.04 + r * 0.94 + shadow * 0.05 - highlight * 0.03,
+      0.03 + g * 0.94 + shadow * 0.01,
+      0.05 + b * 0.92 - shadow * 0.03 + highlight * 0.06
+    ];
+  }, 17, 'Warm Night'),
+
+  // Faded film: crushed contrast, milky blacks, slightly desaturated
+  fadedFilm: () => generateLUT((r, g, b) => {
+    const l = luma(r, g, b);
+    const fade = (c) => 0.08 + mix(l, c, 0.75) * 0.84;
+    return [fade(r) + 0.01, fade(g), fade(b) - 0.01];
+  }, 17, 'Faded Film'),
+
+  // Cold blue dusk with teal shadows
+  coolDusk: () => generateLUT((r, g, b) => {
+    const l = luma(r, g, b);
+    const shadow = 1 - smoothstep(0, 0.6, l);
+    return [
+      r * 0.92,
+      g * 0.96 + shadow * 0.03,
+      0.03 + b * 0.95 + shadow * 0.04
+    ];
+  }, 17, 'Cool Dusk')
+};
+
+// .cube files in ./luts are bundled as assets and fetched when first used
+const bundledLUTs = Object.fromEntries(
+  Object.entries(import.meta.glob('./luts/*.cube', { eager: true, query: '?url', import: 'default' }))
+    .map(([path, url]) => [path.match(/([^/]+)\.cube$/)[1], url])
+);
+
+/**
+ * Names usable as `lut` in LutFilter and composition files
+ */
+export function listLUTs() {
+  return [...Object.keys(builtinLUTs), ...Object.keys(bundledLUTs)];
+}
+
+/**
+ * Resolve a LUT by name: built-ins first, then bundled .cube files
+ * @param {string} name
+ * @returns {Promise<Object>} LUT data
+ */
+export async function getLUT(name) {
+  if (builtinLUTs[name]) return builtinLUTs[name]();
+  if (bundledLUTs[name]) return loadCubeLUT(bundledLUTs[name]);
+
+  throw new Error(`Unknown LUT "${name}" (expected one of: ${listLUTs().join(', ')})`);
+}
@@ -1,4 +1,9 @@
 import { Graphics, Container, BlurFilter, ColorMatrixFilter } from 'pixi.js';
+import { FilmGrainFilter } from './filters/FilmGrainFilter.js';
+import { ChromaticAberrationFilter } from './filters/ChromaticAberrationFilter.js';
+import { BloomFilter } from './filters/BloomFilter.js';
+import { LutFilter } from './filters/LutFilter.js';
+import { EffectPipeline } from './EffectPipeline.js';
 
 /**
  * Post-processing effects for lofi aesthetic
@@ -15,175 +20,188 @@ import { Graphics, Container, BlurFilter, ColorMatrixFilter } from 'pixi.js';
 export function createVignette(width, height, { intensity = 0.4, radius = 0.5 } = {}) {
   const container = new Container();
   const graphics = new Graphics();
-
-  const cx = width / 2;
-  const cy = height / 2;
-  const diagonal = Math.sqrt(width * width + height * height) / 2;
-  const innerRadius = diagonal * radius;
-  const outerRadius = diagonal;
-
-  // Radial gradient via multiple ellipses
   const steps = 20;
-  for (let i = steps; i >= 0; i--) {
-    const t = i / steps;
-    const r = innerRadius + (outerRadius - innerRadius) * t;
-    const alpha = intensity * t * t; // Quadratic falloff
 
-    graphics.ellipse(cx, cy, r * (width / height), r);
-    graphics.fill({ color: 0x000000, alpha });
-  }
+  const params = { intensity, radius };
+  const size = { width, height };
 
-  container.addChild(graphics);
-  container.label = 'vignette';
+  function draw() {
+    const { width: w, height: h } = size;
+    const cx = w / 2;
+    const cy = h / 2;
+    const diagonal = Math.sqrt(w * w + h * h) / 2;
+    const innerRadius = diagonal * params.radius;
+    const outerRadius = diagonal;
 
-  // Method to update on resize
-  container.updateSize = (w, h) => {
     graphics.clear();
-    const ncx = w / 2;
-    const ncy = h / 2;
-    const ndiag = Math.sqrt(w * w + h * h) / 2;
-    const ninner = ndiag * radius;
-    const nouter = ndiag;
 
+    // Radial gradient via multiple ellipses
     for (let i = steps; i >= 0; i--) {
       const t = i / steps;
-      const r = ninner + (nouter - ninner) * t;
-      const alpha = intensity * t * t;
-      graphics.ellipse(ncx, ncy, r * (w / h), r);
-      graphics.fill({ color: 0x000000, alpha });
-    }
-  };
+      const r = innerRadius + (outerRadius - innerRadius) * t;
+      const alpha = params.intensity * t * t; // Quadratic falloff
 
-  return container;
-}
-
-/**
- * Create animated film grain overlay
- * Uses procedural noise pattern that shifts over time
- */
-export function createGrain(width, height, { opacity = 0.05, scale = 2 } = {}) {
-  const container = new Container();
-  const graphics = new Graphics();
-
-  const cellSize = scale;
-  const cols = Math.ceil(width / cellSize);
-  const rows = Math.ceil(height / cellSize);
-
-  function renderGrain() {
-    graphics.clear();
-    for (let y = 0; y < rows; y++) {
-      for (let x = 0; x < cols; x++) {
-        const brightness = Math.random();
-        const alpha = opacity * brightness;
-        graphics.rect(x * cellSize, y * cellSize, cellSize, cellSize);
-        graphics.fill({ color: 0xFFFFFF, alpha });
-      }
+      graphics.ellipse(cx, cy, r * (w / h), r);
+      graphics.fill({ color: 0x000000, alpha });
     }
   }
 
-  renderGrain();
+  draw();
   container.addChild(graphics);
-  container.label = 'grain';
-
-  // Call this each frame for animated grain
-  container.update = () => renderGrain();
+  container.label = 'vignette';
 
+  // Method to update on resize
   container.updateSize = (w, h) => {
-    // Recalculate dimensions but don't re-render until next update
+    size.width = w;
+    size.height = h;
+    draw();
+  };
+
+  // Live parameter changes (used by EffectPipeline tweens)
+  container.params = params;
+  container.setParams = (values) => {
+    Object.assign(params, values);
+    draw();
   };
 
   return container;
 }
 
+/**
+ * Create animated film grain filter
+ * Grain is generated on the GPU; set `filter.time` each frame to animate it
+ * @param {Object} options
+ * @param {number} [options.opacity=0.05] - Grain strength (0-1)
+ * @param {number} [options.scale=2] - Grain cell size in pixels
+ * @param {number} [options.fps=24] - Grain pattern changes per second
+ */
+export function createGrain({ opacity = 0.05, scale = 2, fps = 24 } = {}) {
+  return new FilmGrainFilter({ opacity, scale, fps });
+}
+
 /**
  * Create color grading filter
- * Applies cool shadows + warm highlights for lofi look
+ * Saturation, contrast and brightness only; for tinted shadows/highlights use
+ * a LUT (see createLUT) so the grade doesn't fight these adjustments
  */
 export function createColorGrading({
   saturation = 0.85,
   contrast = 1.1,
-  brightness = 1.0,
-  warmShadows = false,
-  coolHighlights = false
+  brightness = 1.0
 } = {}) {
   const filter = new ColorMatrixFilter();
+  const params = { saturation, contrast, brightness };
 
-  // Apply saturation (slightly desaturated for lofi)
-  filter.saturate(saturation - 1, true);
+  // The matrix is rebuilt from scratch so parameters can change independently
+  function apply() {
+    filter.reset();
 
-  // Apply contrast
-  filter.contrast(contrast, true);
+    // Apply saturation (slightly desaturated for lofi)
+    filter.saturate(params.saturation - 1, true);
 
-  // Apply brightness
-  filter.brightness(brightness, true);
+    // Apply contrast
+    filter.contrast(params.contrast, true);
 
-  // Optional color temperature adjustments
-  if (warmShadows) {
-    // Shift shadows toward warm tones
-    filter.matrix[0] = 1.1;  // Red boost
-    filter.matrix[6] = 1.0;  // Green normal
-    filter.matrix[12] = 0.9; // Blue reduce
+    // Apply brightness
+    filter.brightness(params.brightness, true);
   }
 
-  if (coolHighlights) {
-    // This is a simplified version - real implementation would need proper curves
-    filter.matrix[2] = 0.1;  // Add blue to red channel
-    filter.matrix[7] = 0.05; // Add blue to green channel
-  }
+  apply();
+
+  // Live parameter changes (used by EffectPipeline tweens)
+  filter.params = params;
+  filter.setParams = (values) => {
+    Object.assign(params, values);
+    apply();
+  };
 
   return filter;
 }
 
 /**
- * Create subtle chromatic aberration effect
- * Shifts RGB channels slightly for retro/analog look
+ * Create subtle chromatic aberration filter
+ * Shifts red and blue channels radially for retro/analog look
+ * @param {Object} options
+ * @param {number} [options.offset=2] - Channel offset in pixels at the screen edge
+ * @param {number} [options.falloff=1] - How quickly the offset grows toward the edges
  */
-export function createChromaticAberration(offset = 2) {
-  // PixiJS doesn't have a built-in CA filter
-  // This creates the effect by layering the scene
-  // For now, return a container that can hold offset copies
+export function createChromaticAberration({ offset = 2, falloff = 1 } = {}) {
+  return new ChromaticAberrationFilter({ offset, falloff });
+}
 
-  const container = new Container();
-  container.label = 'chromatic-aberration';
+/**
+ * Create a bloom filter (bright pass, blur, additive composite)
+ * Best applied to a single layer via EffectPipeline's `target` option
+ * @param {Object} options - See BloomFilter
+ */
+export function createBloom(options = {}) {
+  return new BloomFilter(options);
+}
 
-  // The actual implementation would require duplicating the scene
-  // and applying color matrices to extract R/G/B channels
-  // This is a placeholder for custom shader implementation
+/**
+ * Create a 3D LUT color grade
+ * @param {Object} options
+ * @param {string} [options.lut='identity'] - Built-in LUT name or the name of a .cube file in effects/luts
+ * @param {string} [options.src] - URL of a .cube file to load instead
+ * @param {number} [options.intensity=1] - Blend between the original (0) and graded (1) image
+ */
+export function createLUT({ lut = 'identity', src, intensity = 1 } = {}) {
+  const filter = new LutFilter({ lut: src ? 'identity' : lut, intensity });
+  if (src) {
+    filter.ready = filter.load(src);
+    filter.ready.catch(console.error); // Stays ungraded
+  }
+  return filter;
+}
 
-  container.offset = offset;
+/**
+ * Effect factories by type name, as used by setupPostProcessing and composition files
+ */
+export const effectTypes = {
+  vignette: (app, options) => createVignette(app.width, app.height, options),
+  colorGrading: (app, options) => createColorGrading(options),
+  chromaticAberration: (app, options) => createChromaticAberration(options),
+  grain: (app, options) => createGrain(options),
+  bloom: (app, options) => createBloom(options),
+  lut: (app, options) => createLUT(options)
+};
 
-  return container;
+/**
+ * Create an effect by type name
+ * @param {string} type - Key of effectTypes
+ * @param {App} app
+ * @param {Object} [options] - Options for the effect's create function
+ */
+export function createEffect(type, app, options = {}) {
+  const factory = effectTypes[type];
+  if (!factory) {
+    throw new Error(`Unknown post-processing effect "${type}" (expected one of: ${Object.keys(effectTypes).join(', ')})`);
+  }
+  return factory(app, options);
 }
 
 /**
  * Apply all post-processing to an app
+ * @returns {EffectPipeline} The app's effect pipeline (also available as app.effects)
  */
 export function setupPostProcessing(app, options = {}) {
   const {
     vignette = true,
-    grain = false, // Disabled by default as it's CPU intensive
+    grain = false,
     colorGrading = true,
+    chromaticAberration = false,
     vignetteOptions = {},
     grainOptions = {},
-    colorGradingOptions = {}
+    colorGradingOptions = {},
+    chromaticAberrationOptions = {}
   } = options;
 
-  const effects = {};
-
-  if (vignette) {
-    effects.vignette = createVignette(app.width, app.height, vignetteOptions);
-    app.layers.overlay.addChild(effects.vignette);
-  }
+  const pipeline = new EffectPipeline(app);
 
-  if (grain) {
-    effects.grain = createGrain(app.width, app.height, grainOptions);
-    app.layers.overlay.addChild(effects.grain);
-  }
-
-  if (colorGrading) {
-    effects.colorGrading = createColorGrading(colorGradingOptions);
-    app.app.stage.filters = [effects.colorGrading];
-  }
+  if (colorGrading) pipeline.add('colorGrading', createColorGrading(colorGradingOptions));
+  if (chromaticAberration) pipeline.add('chromaticAberration', createChromaticAberration(chromaticAberrationOptions));
+  if (grain) pipeline.add('grain', createGrain(grainOptions));
+  if (vignette) pipeline.add('vignette', createVignette(app.width, app.height, vignetteOptions));
 
-  return effects;
+  return pipeline;
 }
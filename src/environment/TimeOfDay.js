@@ -0,0 +1,177 @@
+import { christmasColors, lerpColor } from '../utils/color.js';
+import { clamp, lerp, smoothstep, wrap, loopSpeed } from '../utils/math.js';
+
+const DAY = 24;
+
+/**
+ * Sky and lighting keyframes by hour, interpolated cyclically.
+ * `tint` multiplies lit scenery (ground, tree); the original art is the
+ * midnight look, so night is white.
+ */
+const keyframes = [
+  { hour: 0, sky: [christmasColors.skyTop, christmasColors.skyMid, christmasColors.skyBottom], stars: 1, aurora: 1, tint: 0xFFFFFF },
+  { hour: 4.5, sky: [christmasColors.skyTop, christmasColors.skyMid, christmasColors.skyBottom], stars: 1, aurora: 1, tint: 0xFFFFFF },
+  { hour: 5.75, sky: [0x12173A, 0x2A3566, 0x5A5F8A], stars: 0.5, aurora: 0.3, tint: 0xC8D2F0 },
+  { hour: 7, sky: [0x3A5A9A, 0xE89A7A, 0xFFC98A], stars: 0, aurora: 0, tint: 0xFFE2C8 },
+  { hour: 9, sky: [0x4A7FC0, 0x7FB0E0, 0xC8E0F0], stars: 0, aurora: 0, tint: 0xFFFFFF },
+  { hour: 16, sky: [0x4A7FC0, 0x7FB0E0, 0xC8E0F0], stars: 0, aurora: 0, tint: 0xFFFFFF },
+  { hour: 17.5, sky: [0x2A2A5A, 0x8A4A6A, 0xF08A5A], stars: 0.2, aurora: 0, tint: 0xFFC8A8 },
+  { hour: 19, sky: [0x10102A, 0x1A2250, 0x3A3A6A], stars: 0.8, aurora: 0.5, tint: 0xD8D0F0 },
+  { hour: 20.5, sky: [christmasColors.skyTop, christmasColors.skyMid, christmasColors.skyBottom], stars: 1, aurora: 1, tint: 0xFFFFFF }
+];
+
+/**
+ * Named phases, as [start hour, name] in day order
+ */
+const phases = [
+  [0, 'night'],
+  [4.5, 'preDawn'],
+  [6, 'sunrise'],
+  [8, 'day'],
+  [16.5, 'dusk'],
+  [20.5, 'night']
+];
+
+// The moon rises at 18:00 and sets at 06:00
+const MOONRISE = 18;
+const MOON_HOURS = 12;
+
+/**
+ * Shared time-of-day model driving the sky, moon and scene lighting
+ *
+ * Registers itself as a scene (like EffectPipeline) and exposes itself as
+ * app.timeOfDay. Each frame it computes `state`, which other scenes read in
+ * their update(), so add it before them (loadComposition does).
+ *
+ * Time is either a pure function of scene time (startHour + elapsed * speed)
+ * or, with `clock: true`, the viewer's local time.
+ */
+export class TimeOfDay {
+  /**
+   * @param {App} app
+   * @param {Object} [options]
+   * @param {number} [options.hour=0] - Hour (0-24) at elapsed = 0
+   * @param {number} [options.speed=0] - Multiplier over real time: 0 stays at `hour`, set it to run a day/night cycle (60 = a day in 24 minutes)
+   * @param {boolean} [options.clock=false] - Follow the local clock instead (ignores hour and speed)
+   */
+  constructor(app, options = {}) {
+    this.app = app;
+    this.startHour = options.hour ?? 0;
+    this.speed = options.speed ?? 0;
+    this.clock = options.clock || false;
+
+    this.state = this.sample(this.startHour);
+
+    app.addScene(this);
+  }
+
+  onAdd(app) {
+    app.timeOfDay = this;
+  }
+
+  /**
+   * Hours of day per second of scene time. In loop mode this is snapped to a
+   * whole number of days per loop, so a non-zero speed runs at least one full
+   * day per loop.
+   */
+  get rate() {
+    return loopSpeed(this.speed / 3600, this.app.loopDuration, DAY);
+  }
+
+  /**
+   * Current hour (0-24)
+   */
+  get hour() {
+    return this.state.hour;
+  }
+
+  /**
+   * Whether the hour changes over time (a running cycle or the local clock)
+   */
+  get isRunning() {
+    return this.clock || this.speed !== 0;
+  }
+
+  /**
+   * Jump to an hour without changing speed
+   * @param {number} hour - 0-24
+   */
+  setHour(hour) {
+    this.startHour = wrap(hour - this.app.elapsed * this.rate, 0, DAY);
+    this.state = this.sample(this.hourAt(this.app.elapsed));
+    return this;
+  }
+
+  /**
+   * @param {number} speed - Multiplier over real time
+   */
+  setSpeed(speed) {
+    // Keep the current hour where it is
+    const hour = this.hour;
+    this.speed = speed;
+    return this.setHour(hour);
+  }
+
+  /**
+   * Follow the local clock (true) or scene time (false)
+   */
+  setClock(enabled) {
+    this.clock = enabled;
+    if (!enabled) this.setHour(this.hour);
+    return this;
+  }
+
+  hourAt(elapsed) {
+    if (this.clock) {
+      const now = new Date();
+      return now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600;
+    }
+    return wrap(this.startHour + elapsed * this.rate, 0, DAY);
+  }
+
+  update(delta, elapsed) {
+    this.state = this.sample(this.hourAt(elapsed));
+  }
+
+  /**
+   * Lighting state at an hour
+   * @param {number} hour - 0-24
+   * @returns {{hour: number, phase: string, sky: number[], stars: number, aurora: number, tint: number, moon: {x: number, y: number, alpha: number}}}
+   *   Moon position is normalized to the screen; alpha is 0 while it is down
+   */
+  sample(hour) {
+    hour = wrap(hour, 0, DAY);
+
+    let next = keyframes.findIndex(frame => frame.hour > hour);
+    if (next === -1) next = 0;
+    const from = keyframes[(next + keyframes.length - 1) % keyframes.length];
+    const to = keyframes[next];
+
+    const span = wrap(to.hour - from.hour, 0, DAY) || DAY;
+    const t = smoothstep(0, 1, wrap(hour - from.hour, 0, DAY) / span);
+
+    let phase = phases[0][1];
+    for (const [start, name] of phases) {
+      if (hour >= start) phase = name;
+    }
+
+    const moonProgress = wrap(hour - MOONRISE, 0, DAY) / MOON_HOURS;
+    const moonUp = moonProgress <= 1;
+    const arc = Math.sin(clamp(moonProgress, 0, 1) * Math.PI);
+
+    return {
+      hour,
+      phase,
+      sky: from.sky.map((color, i) => lerpColor(color, to.sky[i], t)),
+      stars: lerp(from.stars, to.stars, t),
+      aurora: lerp(from.aurora, to.aurora, t),
+      tint: lerpColor(from.tint, to.tint, t),
+      moon: {
+        x: lerp(0.1, 0.9, clamp(moonProgress, 0, 1)),
+        y: 0.6 - arc * 0.5,
+        // Fade near the horizon, where it would sit behind the hills
+        alpha: moonUp ? smoothstep(0, 0.08, moonProgress) * smoothstep(1, 0.92, moonProgress) : 0
+      }
+    };
+  }
+}
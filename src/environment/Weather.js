@@ -0,0 +1,249 @@
+import { Graphics } from 'pixi.js';
+import { Noise } from '../utils/noise.js';
+import { clamp, lerp, smoothstep, randomRange, randomPick } from '../utils/math.js';
+import { createRandom, deriveSeed, randomSeed } from '../utils/random.js';
+
+/**
+ * Weather presets. Scenes read the interpolated values from weather.params:
+ * - snow: active share of SnowSystem's maximum flake count (0-1)
+ * - flakeSize, fallSpeed: multipliers on flake size and fall speed
+ * - wind: mean wind (same units as SnowSystem's wind, ~-2 to 2)
+ * - gust: amplitude of gusts on top of the mean wind
+ * - gustFrequency: how quickly gusts come and go
+ * - aurora: aurora visibility (0-1)
+ * - haze: opacity of the haze overlay (0-1)
+ */
+export const weatherStates = {
+  clear: { snow: 0, flakeSize: 1, fallSpeed: 1, wind: 0.1, gust: 0.2, gustFrequency: 0.1, aurora: 1, haze: 0 },
+  flurries: { snow: 0.15, flakeSize: 0.9, fallSpeed: 0.8, wind: 0.2, gust: 0.4, gustFrequency: 0.15, aurora: 0.8, haze: 0.04 },
+  steady: { snow: 0.5, flakeSize: 1, fallSpeed: 1, wind: 0.3, gust: 0.7, gustFrequency: 0.2, aurora: 0.5, haze: 0.1 },
+  blizzard: { snow: 1, flakeSize: 1.2, fallSpeed: 1.8, wind: 2, gust: 1.5, gustFrequency: 0.5, aurora: 0, haze: 0.35 },
+  clearing: { snow: 0.06, flakeSize: 0.9, fallSpeed: 0.9, wind: 0.3, gust: 0.3, gustFrequency: 0.15, aurora: 0.6, haze: 0.06 }
+};
+
+/**
+ * Which states can follow each state in auto mode
+ */
+const transitions = {
+  clear: ['flurries'],
+  flurries: ['steady', 'steady', 'clearing'],
+  steady: ['blizzard', 'flurries', 'clearing'],
+  blizzard: ['steady', 'clearing'],
+  clearing: ['clear', 'flurries']
+};
+
+const HAZE_COLOR = 0x8898B0;
+const GUST_CROSSING = 3; // Seconds for a gust to sweep across the screen (see windAt)
+const FLUTTER_SCALE = 0.004; // Spatial frequency of the small-scale flutter, per pixel
+
+/**
+ * Shared weather controller: one state machine that snow, wind, aurora and
+ * haze all follow
+ *
+ * Registers itself as a scene (like TimeOfDay) and exposes itself as
+ * app.weather. Scenes read `params` and `wind` in their update(), so add it
+ * before them (loadComposition does); anything else can subscribe().
+ *
+ * windAt(x) gives the wind at a point, with gusts sweeping across the
+ * scene.
+ *
+ * In loop mode the weather holds still (transitions and auto changes pause)
+ * and gusts repeat with the loop.
+ */
+export class Weather {
+  /**
+   * @param {App} app
+   * @param {Object} [options]
+   * @param {string} [options.state='steady'] - Initial state (key of weatherStates)
+   * @param {boolean} [options.auto=false] - Move between states on its own
+   * @param {number[]} [options.dwell=[30, 90]] - Seconds to stay in a state in auto mode (min, max)
+   * @param {number} [options.transition=8] - Default seconds to blend into a new state
+   * @param {string} [options.layer='particles'] - Layer for the haze overlay (drawn behind the snow)
+   * @param {number|string} [options.seed] - Seed for auto mode and gusts
+   */
+  constructor(app, options = {}) {
+    this.app = app;
+    this.initialState = options.state || 'steady';
+    this.auto = options.auto || false;
+    this.dwell = options.dwell || [30, 90];
+    this.transition = options.transition ?? 8;
+    this.layer = options.layer || 'particles';
+
+    if (!weatherStates[this.initialState]) {
+      throw new Error(`Unknown weather state "${this.initialState}" (expected one of: ${Object.keys(weatherStates).join(', ')})`);
+    }
+
+    this.seed = options.seed ?? randomSeed();
+    this.noise = new Noise(deriveSeed(this.seed, 'gusts'));
+    this.haze = new Graphics();
+    this.haze.label = 'weather-haze';
+    this.listeners = new Set();
+    this.stateful = true; // Auto mode and gust phase depend on past frames (see App.seek)
+
+    this.reset();
+    app.addScene(this);
+  }
+
+  onAdd(app) {
+    app.layers[this.layer].addChildAt(this.haze, 0);
+    app.weather = this;
+    this.drawHaze();
+  }
+
+  /**
+   * Blend into a new state
+   * @param {string} state - Key of weatherStates
+   * @param {Object} [options]
+   * @param {number} [options.duration] - Seconds of scene time (default: the `transition` option)
+   */
+  set(state, { duration = this.transition } = {}) {
+    const preset = weatherStates[state];
+    if (!preset) {
+      throw new Error(`Unknown weather state "${state}" (expected one of: ${Object.keys(weatherStates).join(', ')})`);
+    }
+
+    this.previous = this.state;
+    this.state = state;
+    this.from = { ...this.params };
+    this.to = { ...preset, wind: preset.wind * this.windSign };
+    this.transitionTime = 0;
+    this.transitionDuration = duration;
+    this.timer = randomRange(this.dwell[0], this.dwell[1], this.random);
+    return this;
+  }
+
+  /**
+   * Be notified after every weather update
+   * @param {Function} listener - Called with this controller
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * True while blending between two states
+   */
+  get isTransitioning() {
+    return this.transitionTime < this.transitionDuration;
+  }
+
+  update(delta, elapsed) {
+    const loop = this.app.loopDuration;
+
+    // Blend parameters toward the target state (frozen in loop mode)
+    if (!loop) {
+      this.transitionTime = Math.min(this.transitionTime + delta, this.transitionDuration);
+    }
+    const t = this.transitionDuration > 0 ? smoothstep(0, 1, this.transitionTime / this.transitionDuration) : 1;
+    for (const key of Object.keys(this.to)) {
+      this.params[key] = lerp(this.from[key], this.to[key], t);
+    }
+
+    // Auto mode: wait out the dwell time, then move on
+    if (this.auto && !loop && !this.isTransitioning) {
+      this.timer -= delta;
+      if (this.timer <= 0) {
+        // Occasionally swing the wind around between states
+        if (this.random() < 0.3) this.windSign = -this.windSign;
+        this.set(randomPick(transitions[this.state], null, this.random));
+      }
+    }
+
+    // Gusts: noise around the mean wind, periodic in loop mode
+    const { wind, gust, gustFrequency } = this.params;
+    let gustX;
+    let gustY;
+    if (loop) {
+      gustX = this.noise.getLoop(0, 0, elapsed * gustFrequency, loop * gustFrequency);
+      gustY = this.noise.getLoop(0, 50, elapsed * gustFrequency, loop * gustFrequency);
+    } else {
+      // Integrated so changing the frequency mid-transition doesn't jump
+      this.gustPhase += delta * gustFrequency;
+      gustX = this.noise.get3D(0, 0, this.gustPhase);
+      gustY = this.noise.get3D(0, 50, this.gustPhase);
+    }
+    this.elapsed = elapsed;
+    this.wind.x = wind + gustX * gust;
+    this.wind.y = gustY * gust * 0.3;
+
+    this.haze.alpha = clamp(this.params.haze, 0, 1);
+    this.haze.visible = this.haze.alpha > 0;
+    this.haze.tint = this.app.timeOfDay?.state.tint ?? 0xFFFFFF;
+
+    for (const listener of this.listeners) {
+      listener(this);
+    }
+  }
+
+  /**
+   * Horizontal wind at a screen x: the same gusts as `wind.x`, reaching
+   * points downwind later so they sweep across the scene, plus a little
+   * small-scale flutter. `wind.x` is the value at the upwind edge.
+   * @param {number} x - Screen pixels
+   * @returns {number} Same units as wind.x
+   */
+  windAt(x) {
+    const loop = this.app.loopDuration;
+    const { wind, gust, gustFrequency } = this.params;
+    const across = clamp(x / this.app.width, 0, 1);
+    const lag = (wind >= 0 ? across : 1 - across) * GUST_CROSSING * gustFrequency;
+
+    let gustX;
+    let flutter;
+    if (loop) {
+      gustX = this.noise.getLoop(0, 0, this.elapsed * gustFrequency - lag, loop * gustFrequency);
+      flutter = this.noise.getLoop(x * FLUTTER_SCALE, 100, this.elapsed, loop);
+    } else {
+      gustX = this.noise.get3D(0, 0, this.gustPhase - lag);
+      flutter = this.noise.get3D(x * FLUTTER_SCALE, 100, this.elapsed);
+    }
+    return wind + (gustX + flutter * 0.25) * gust;
+  }
+
+  /**
+   * Haze gradient, denser toward the ground
+   */
+  drawHaze() {
+    const { width, height } = this.app;
+    const steps = 20;
+
+    this.haze.clear();
+    for (let i = 0; i < steps; i++) {
+      const t = i / steps;
+      this.haze.rect(0, t * height, width, height / steps + 1);
+      this.haze.fill({ color: HAZE_COLOR, alpha: lerp(0.3, 1, t * t) });
+    }
+  }
+
+  /**
+   * Return to the initial state for this seed
+   */
+  reset() {
+    this.random = createRandom(this.seed);
+    this.windSign = this.random() < 0.5 ? -1 : 1;
+    this.gustPhase = 0;
+    this.elapsed = 0;
+    this.wind = { x: 0, y: 0 };
+
+    const preset = weatherStates[this.initialState];
+    this.state = this.initialState;
+    this.previous = null;
+    this.params = { ...preset, wind: preset.wind * this.windSign };
+    this.from = { ...this.params };
+    this.to = { ...this.params };
+    this.transitionTime = 0;
+    this.transitionDuration = 0;
+    this.timer = randomRange(this.dwell[0], this.dwell[1], this.random);
+  }
+
+  onResize(width, height) {
+    this.drawHaze();
+  }
+
+  onDestroy() {
+    this.listeners.clear();
+    this.haze.destroy();
+  }
+}
@@ -0,0 +1,3 @@
+// Environment exports
+export { TimeOfDay } from './TimeOfDay.js';
+export { Weather, weatherStates } from './Weather.js';
@@ -0,0 +1,2 @@
+// Export exports
+export * from './recorder.js';
@@ -0,0 +1,244 @@
+import { Muxer, ArrayBufferTarget } from 'webm-muxer';
+import { zipSync } from 'fflate';
+
+/**
+ * Offline, frame-exact export
+ *
+ * Instead of letting app.ticker drive the scene in real time, the exporter
+ * pauses the live loop, advances scene time by exactly 1 / fps per frame and
+ * renders each frame itself, so no frame is ever dropped regardless of how
+ * long a frame takes to render or what the display's refresh rate is.
+ */
+
+/**
+ * Render a clip from the app and package it
+ * @param {App} app - Initialized app
+ * @param {Object} options
+ * @param {number} options.duration - Clip length in seconds
+ * @param {number} [options.fps=30] - Output frame rate
+ * @param {number} [options.width] - Output width in pixels (default: current width)
+ * @param {number} [options.height] - Output height in pixels (default: current height)
+ * @param {'webm'|'png'} [options.format='webm'] - WebM video or zipped PNG sequence
+ * @param {number} [options.startTime=0] - Scene time of the first frame
+ * @param {number} [options.bitrate=12e6] - WebM target bitrate (bits per second)
+ * @param {Function} [options.onProgress] - Called with (frameIndex, frameCount) after each frame
+ * @returns {Promise<Blob>} video/webm or application/zip
+ */
+export async function exportClip(app, options) {
+  const {
+    duration,
+    fps = 30,
+    width = app.width,
+    height = app.height,
+    format = 'webm',
+    startTime = 0,
+    bitrate = 12e6,
+    onProgress
+  } = options;
+
+  if (!(duration > 0)) {
+    throw new Error('exportClip: duration must be a positive number of seconds');
+  }
+  if (format !== 'webm' && format !== 'png') {
+    throw new Error(`exportClip: unknown format "${format}" (expected "webm" or "png")`);
+  }
+
+  const frameCount = Math.round(duration * fps);
+  const encoder = format === 'png'
+    ? createPngEncoder()
+    : createWebmEncoder({ width, height, fps, bitrate });
+
+  // Take over the app: freeze the live loop and render at the export size
+  const restore = {
+    width: app.width,
+    height: app.height,
+    resolution: app.app.renderer.resolution,
+    elapsed: app.elapsed,
+    wasRunning: app.isRunning,
+    autoResize: app.autoResize
+  };
+
+  app.stop();
+  app.autoResize = false;
+  app.resize(width, height, 1);
+
+  const capture = document.createElement('canvas');
+  capture.width = width;
+  capture.height = height;
+  const ctx = capture.getContext('2d');
+
+  try {
+    // Replay from a fresh state so the same seed always exports the same clip
+    app.seek(0);
+    app.seek(startTime);
+
+    for (let i = 0; i < frameCount; i++) {
+      if (i > 0) app.step(1 / fps);
+
+      // Copy synchronously, before the WebGL drawing buffer can be cleared
+      app.app.renderer.render(app.app.stage);
+      ctx.drawImage(app.app.canvas, 0, 0, width, height);
+
+      await encoder.addFrame(capture, i, fps);
+      onProgress?.(i, frameCount);
+    }
+
+    return await encoder.finish();
+  } catch (error) {
+    encoder.abort();
+    throw error;
+  } finally {
+    app.autoResize = restore.autoResize;
+    app.resize(restore.width, restore.height, restore.resolution);
+    // The export replayed from zero, so the live state is gone anyway: start
+    // stateful scenes afresh at the live time instead of simulating up to it
+    for (const scene of app.scenes) scene.reset?.();
+    app.elapsed = restore.elapsed;
+    if (restore.wasRunning) app.start();
+  }
+}
+
+/**
+ * Trigger a browser download for a Blob
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * PNG sequence, stored uncompressed in a zip (PNG data is already compressed)
+ */
+function createPngEncoder() {
+  const files = {};
+
+  return {
+    async addFrame(canvas, index) {
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      const name = `frame_${String(index).padStart(5, '0')}.png`;
+      files[name] = [new Uint8Array(await blob.arrayBuffer()), { level: 0 }];
+    },
+
+    async finish() {
+      return new Blob([zipSync(files)], { type: 'application/zip' });
+    },
+
+    abort() {}
+  };
+}
+
+/**
+ * WebM via WebCodecs when available, otherwise MediaRecorder
+ */
+function createWebmEncoder(options) {
+  return typeof VideoEncoder === 'function'
+    ? createWebCodecsEncoder(options)
+    : createMediaRecorderEncoder(options);
+}
+
+/**
+ * VP9 through WebCodecs, muxed into WebM - exact timestamps, faster than real time
+ */
+function createWebCodecsEncoder({ width, height, fps, bitrate }) {
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: { codec: 'V_VP9', width, height, frameRate: fps }
+  });
+
+  let encodeError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (error) => { encodeError = error; }
+  });
+
+  encoder.configure({
+    codec: 'vp09.00.10.08',
+    width,
+    height,
+    bitrate,
+    framerate: fps
+  });
+
+  const frameDuration = 1e6 / fps; // Microseconds
+  const keyFrameInterval = Math.max(1, Math.round(fps * 2)); // Frames; fps may be fractional (29.97)
+
+  return {
+    async addFrame(canvas, index) {
+      if (encodeError) throw encodeError;
+
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round(index * frameDuration),
+        duration: Math.round(frameDuration)
+      });
+      encoder.encode(frame, { keyFrame: index % keyFrameInterval === 0 });
+      frame.close();
+
+      // Backpressure: don't queue up more raw frames than the encoder can keep
+      while (encoder.encodeQueueSize > 4) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    },
+
+    async finish() {
+      await encoder.flush();
+      encoder.close();
+      if (encodeError) throw encodeError;
+
+      muxer.finalize();
+      return new Blob([muxer.target.buffer], { type: 'video/webm' });
+    },
+
+    // Release the codec when the export fails part way
+    abort() {
+      if (encoder.state !== 'closed') encoder.close();
+    }
+  };
+}
+
+/**
+ * MediaRecorder fallback. It timestamps frames by wall clock, so frames are
+ * paced at the target rate - still frame-exact, but only real-time speed.
+ */
+function createMediaRecorderEncoder({ fps, bitrate }) {
+  let recorder = null;
+  let track = null;
+  const chunks = [];
+
+  const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(type => MediaRecorder.isTypeSupported(type));
+
+  return {
+    async addFrame(canvas) {
+      if (!recorder) {
+        const stream = canvas.captureStream(0);
+        track = stream.getVideoTracks()[0];
+        recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+        recorder.ondataavailable = (event) => chunks.push(event.data);
+        recorder.start();
+      }
+
+      track.requestFrame();
+      await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+    },
+
+    async finish() {
+      if (!recorder) return new Blob([], { type: 'video/webm' });
+
+      const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+      recorder.stop();
+      await stopped;
+      track.stop();
+
+      return new Blob(chunks, { type: 'video/webm' });
+    },
+
+    abort() {
+      if (recorder && recorder.state !== 'inactive') recorder.stop();
+      track?.stop();
+    }
+  };
+}
@@ -1,101 +1,86 @@
 import { createApp } from './core/App.js';
-import { setupPostProcessing } from './effects/postprocess.js';
-import { christmasColors } from './utils/color.js';
-
-// Christmas scene components
-import { NightSky } from './scenes/NightSky.js';
-import { Aurora } from './scenes/Aurora.js';
-import { SnowGround } from './scenes/SnowGround.js';
+import { loadComposition } from './core/composition.js';
+import { randomSeed } from './utils/random.js';
+import { exportClip, downloadBlob } from './export/recorder.js';
+import { DecoratingEditor, loadSavedLayout } from './editor/index.js';
 import { ChristmasTree } from './scenes/ChristmasTree.js';
-import { SnowSystem } from './scenes/SnowSystem.js';
-import { MagicSparkles } from './scenes/MagicSparkles.js';
-
-async function init() {
-  // Create the app with dark Christmas night background
-  const app = await createApp({
-    backgroundColor: christmasColors.skyTop
-  });
 
-  // === LAYER ORDER (back to front) ===
+// Registers the built-in scene types used by composition files
+import './scenes/index.js';
 
-  // 1. Night sky with stars and moon (background layer)
-  const nightSky = new NightSky({
-    starCount: 180,
-    moonPosition: { x: 0.85, y: 0.12 },
-    moonSize: 35
-  });
-  app.addScene(nightSky);
+// Bundled compositions, selectable with ?composition=<name>
+const compositions = Object.fromEntries(
+  Object.entries(import.meta.glob('./compositions/*.json', { eager: true, import: 'default' }))
+    .map(([path, composition]) => [path.match(/([^/]+)\.json$/)[1], composition])
+);
 
-  // 2. Aurora borealis (scene layer, behind tree)
-  const aurora = new Aurora({
-    bandCount: 6,
-    intensity: 0.5,
-    resolution: 100
-  });
-  app.addScene(aurora);
+async function init() {
+  const params = new URLSearchParams(window.location.search);
+  const name = params.get('composition') || 'christmas';
 
-  // 3. Snowy ground/hills (scene layer)
-  const snowGround = new SnowGround({
-    layerCount: 4,
-    baseHeight: 0.28
-  });
-  app.addScene(snowGround);
+  if (!compositions[name]) {
+    throw new Error(`Unknown composition "${name}" (available: ${Object.keys(compositions).join(', ')})`);
+  }
 
-  // 4. Christmas tree (scene layer)
-  const christmasTree = new ChristmasTree({
-    position: { x: 0.5, y: 0.88 },
-    scale: 1.3,
-    lightCount: 90,
-    ornamentCount: 40
-  });
-  app.addScene(christmasTree);
+  // ?seed=<value> reproduces a layout; otherwise pick one and log it
+  const composition = {
+    ...compositions[name],
+    seed: params.get('seed') ?? compositions[name].seed ?? randomSeed()
+  };
 
-  // 5. Heavy snowfall (particles layer)
-  const snow = new SnowSystem({
-    particleCount: 600,
-    windStrength: 1.0
-  });
-  app.addScene(snow);
+  // ?quality=<tier> pins a quality tier instead of adapting to the frame rate
+  if (params.has('quality')) {
+    composition.quality = { ...composition.quality, tier: params.get('quality'), adaptive: false };
+  }
 
-  // 6. Magical sparkles (effects layer)
-  const sparkles = new MagicSparkles({
-    particleCount: 40
-  });
-  app.addScene(sparkles);
+  // Create the app, then build the composition's scenes and post-processing onto it
+  const app = await createApp(composition.app);
+  const { scenes, effects, timeOfDay, weather, quality } = loadComposition(app, composition);
 
-  // === POST-PROCESSING ===
-  setupPostProcessing(app, {
-    vignette: true,
-    vignetteOptions: {
-      intensity: 0.15,
-      radius: 0.7
-    },
-    colorGrading: true,
-    colorGradingOptions: {
-      saturation: 1.0,
-      contrast: 1.05,
-      brightness: 1.02
-    },
-    grain: false // Enable for extra lofi feel (performance cost)
-  });
+  // A tree decorated by hand in this browser keeps its layout; ?edit opens the decorating tray
+  const layoutKey = `tree-layout:${name}`;
+  const tree = Object.values(scenes).find(scene => scene instanceof ChristmasTree);
+  let editor = null;
+  if (tree) {
+    const layout = loadSavedLayout(layoutKey);
+    if (layout) tree.setLayout(layout);
+    if (params.has('edit')) {
+      editor = new DecoratingEditor(app, tree, { storageKey: layoutKey }).enable();
+    }
+  }
 
   // Start the animation loop
   app.start();
 
   // Debug info in dev mode
   if (import.meta.env.DEV) {
-    console.log('Christmas Scene initialized');
+    console.log(`Composition "${name}" initialized with seed ${composition.seed}`);
     console.log('Scenes:', app.scenes.length);
 
     setInterval(() => {
-      console.log('Snow pool:', snow.pool?.stats);
-      console.log('Sparkle pool:', sparkles.pool?.stats);
+      for (const [id, scene] of Object.entries(scenes)) {
+        if (scene.pool) console.log(`${id} pool:`, scene.pool.stats);
+      }
+      if (quality) console.log('quality:', quality.stats);
     }, 10000);
   }
 
   // Expose for debugging
   window.app = app;
-  window.scenes = { nightSky, aurora, snowGround, christmasTree, snow, sparkles };
+  window.scenes = scenes;
+  window.effects = effects;
+  window.timeOfDay = timeOfDay;
+  window.weather = weather;
+  window.quality = quality;
+  window.editor = editor;
+
+  // e.g. exportScene({ duration: 10, fps: 60, width: 1920, height: 1080, format: 'webm' })
+  window.exportScene = async (options) => {
+    const blob = await exportClip(app, options);
+    const extension = options.format === 'png' ? 'zip' : 'webm';
+    downloadBlob(blob, `${name}-${composition.seed}.${extension}`);
+    return blob;
+  };
 }
 
 init().catch(console.error);
@@ -1,139 +1,448 @@
-import { Graphics, Container } from 'pixi.js';
-import { Noise } from '../utils/noise.js';
-import { christmasColors, lerpColor } from '../utils/color.js';
-import { lerp, randomRange } from '../utils/math.js';
+import { Color, Container, Mesh, MeshGeometry, Shader } from 'pixi.js';
+import { glslHash, wgslHash } from '../effects/filters/shaderChunks.js';
+import { christmasColors } from '../utils/color.js';
+import { clamp } from '../utils/math.js';
+import { createRandom, deriveSeed, randomSeed } from '../utils/random.js';
+
+// Bands are looped over in the shader, up to this many
+const MAX_BANDS = 8;
+
+// Share of the screen height the aurora mesh covers, from the top
+const EXTENT = 0.7;
+
+// Noise shared by both stages (GLSL)
+const glslNoise = /* glsl */ `
+uniform float uTime;
+uniform float uLoop;
+uniform float uBandCount;
+uniform float uAspect;
+uniform float uSeed;
+uniform float uOctaves;
+
+${glslHash}
+
+// Smooth value noise in [-1, 1]
+float valueNoise(vec3 p) {
+  vec3 i = floor(p);
+  vec3 f = fract(p);
+  vec3 u = f * f * (3.0 - 2.0 * f);
+
+  float x00 = mix(hash13(i), hash13(i + vec3(1.0, 0.0, 0.0)), u.x);
+  float x10 = mix(hash13(i + vec3(0.0, 1.0, 0.0)), hash13(i + vec3(1.0, 1.0, 0.0)), u.x);
+  float x01 = mix(hash13(i + vec3(0.0, 0.0, 1.0)), hash13(i + vec3(1.0, 0.0, 1.0)), u.x);
+  float x11 = mix(hash13(i + vec3(0.0, 1.0, 1.0)), hash13(i + vec3(1.0, 1.0, 1.0)), u.x);
+
+  return mix(mix(x00, x10, u.y), mix(x01, x11, u.y), u.z) * 2.0 - 1.0;
+}
+
+// Noise along x that drifts at speed over time. With a loop set, time walks
+// a circle instead of a line, so the pattern repeats every uLoop seconds.
+float flow(float x, float seed, float speed) {
+  if (uLoop > 0.0) {
+    float radius = uLoop * speed / 6.2831853;
+    float angle = uTime / uLoop * 6.2831853;
+    return valueNoise(vec3(x, seed + radius * cos(angle), radius * sin(angle)));
+  }
+  return valueNoise(vec3(x, seed + uTime * speed, 0.0));
+}
+`;
+
+const vertex = /* glsl */ `
+in vec2 aPosition;
+in vec2 aUV;
+out vec2 vUV;
+out vec4 vEdgeA;
+out vec4 vEdgeB;
+out vec4 vHeightA;
+out vec4 vHeightB;
+
+uniform mat3 uProjectionMatrix;
+uniform mat3 uWorldTransformMatrix;
+uniform mat3 uTransformMatrix;
+
+${glslNoise}
+
+// Lower edge of a band's curtain at x, waving across the sky, and its height
+vec2 bandShape(float band, float x) {
+  float seed = uSeed + band * 37.0;
+  float speed = 0.15 * mix(0.8, 1.2, hash13(vec3(band, uSeed, 1.0)));
+  float waves = mix(1.0, 3.0, hash13(vec3(band, uSeed, 2.0)));
+  float base = 0.2 + band / uBandCount * 0.45 + (hash13(vec3(band, uSeed, 3.0)) - 0.5) * 0.06;
+
+  float wave = 0.0;
+  float amplitude = 0.5;
+  float frequency = waves;
+  for (int i = 0; i < 4; i++) {
+    if (float(i) >= uOctaves) break;
+    wave += flow(x * frequency, seed + float(i) * 19.1, speed) * amplitude;
+    frequency *= 2.0;
+    amplitude *= 0.5;
+  }
+
+  float height = mix(0.1, 0.22, hash13(vec3(band, uSeed, 4.0))) * (0.7 + 0.3 * flow(x * 3.0, seed + 5.0, 0.2));
+  return vec2(base + wave * 0.12, height);
+}
+
+void main() {
+  mat3 mvp = uProjectionMatrix * uWorldTransformMatrix * uTransformMatrix;
+  gl_Position = vec4((mvp * vec3(aPosition, 1.0)).xy, 0.0, 1.0);
+  vUV = aUV;
+
+  // The edges only vary along x, so they are computed per column here and
+  // interpolated, leaving the per-pixel work to the rays
+  vEdgeA = vec4(0.0);
+  vEdgeB = vec4(0.0);
+  vHeightA = vec4(1.0);
+  vHeightB = vec4(1.0);
+  float x = aUV.x * uAspect;
+  for (int i = 0; i < ${MAX_BANDS}; i++) {
+    float band = float(i);
+    if (band >= uBandCount) break;
+    vec2 shape = bandShape(band, x);
+    if (i < 4) {
+      vEdgeA[i] = shape.x;
+      vHeightA[i] = shape.y;
+    } else {
+      vEdgeB[i - 4] = shape.x;
+      vHeightB[i - 4] = shape.y;
+    }
+  }
+}
+`;
+
+const fragment = /* glsl */ `
+in vec2 vUV;
+in vec4 vEdgeA;
+in vec4 vEdgeB;
+in vec4 vHeightA;
+in vec4 vHeightB;
+out vec4 finalColor;
+
+uniform vec4 uColor;
+uniform vec3 uLowColor;
+uniform vec3 uHighColor;
+uniform float uIntensity;
+
+${glslNoise}
+
+void main() {
+  float x = vUV.x * uAspect;
+  vec3 color = vec3(0.0);
+
+  for (int i = 0; i < ${MAX_BANDS}; i++) {
+    float band = float(i);
+    if (band >= uBandCount) break;
+
+    float edge = i < 4 ? vEdgeA[i] : vEdgeB[i - 4];
+    float height = i < 4 ? vHeightA[i] : vHeightB[i - 4];
+
+    // Height above the edge: bright at the edge, fading upward, soft just below
+    float above = edge - vUV.y;
+    if (above < -0.05) continue;
+    float curtain = smoothstep(-0.015, 0.01, above) * exp(-max(above, 0.0) / height);
+
+    // Vertical rays sweeping slowly along the curtain
+    float rays = flow(x * 60.0, uSeed + band * 37.0 + 11.0, 0.4) * 0.5 + 0.5;
+    curtain *= mix(0.3, 1.0, rays * rays);
+
+    // Green at the lower edge, violet higher up
+    float altitude = clamp(above / (height * 1.5), 0.0, 1.0);
+    color += mix(uLowColor, uHighColor, smoothstep(0.1, 0.9, altitude)) * curtain;
+  }
+
+  // Additive: alpha stays 0 so the sky's alpha is untouched
+  finalColor = vec4(color * uIntensity * uColor.rgb * uColor.a, 0.0);
+}
+`;
+
+const source = /* wgsl */ `
+struct GlobalUniforms {
+  uProjectionMatrix: mat3x3<f32>,
+  uWorldTransformMatrix: mat3x3<f32>,
+  uWorldColorAlpha: vec4<f32>,
+  uResolution: vec2<f32>,
+};
+
+struct LocalUniforms {
+  uTransformMatrix: mat3x3<f32>,
+  uColor: vec4<f32>,
+  uRound: f32,
+};
+
+struct AuroraUniforms {
+  uLowColor: vec3<f32>,
+  uTime: f32,
+  uHighColor: vec3<f32>,
+  uLoop: f32,
+  uIntensity: f32,
+  uBandCount: f32,
+  uAspect: f32,
+  uSeed: f32,
+  uOctaves: f32,
+};
+
+@group(0) @binding(0) var<uniform> globalUniforms: GlobalUniforms;
+@group(1) @binding(0) var<uniform> localUniforms: LocalUniforms;
+@group(2) @binding(0) var<uniform> auroraUniforms: AuroraUniforms;
+
+struct VSOutput {
+  @builtin(position) position: vec4<f32>,
+  @location(0) uv: vec2<f32>,
+  @location(1) edgeA: vec4<f32>,
+  @location(2) edgeB: vec4<f32>,
+  @location(3) heightA: vec4<f32>,
+  @location(4) heightB: vec4<f32>,
+};
+
+${wgslHash}
+
+fn valueNoise(p: vec3<f32>) -> f32 {
+  let i = floor(p);
+  let f = fract(p);
+  let u = f * f * (3.0 - 2.0 * f);
+
+  let x00 = mix(hash13(i), hash13(i + vec3(1.0, 0.0, 0.0)), u.x);
+  let x10 = mix(hash13(i + vec3(0.0, 1.0, 0.0)), hash13(i + vec3(1.0, 1.0, 0.0)), u.x);
+  let x01 = mix(hash13(i + vec3(0.0, 0.0, 1.0)), hash13(i + vec3(1.0, 0.0, 1.0)), u.x);
+  let x11 = mix(hash13(i + vec3(0.0, 1.0, 1.0)), hash13(i + vec3(1.0, 1.0, 1.0)), u.x);
+
+  return mix(mix(x00, x10, u.y), mix(x01, x11, u.y), u.z) * 2.0 - 1.0;
+}
+
+fn flow(x: f32, seed: f32, speed: f32) -> f32 {
+  let time = auroraUniforms.uTime;
+  let period = auroraUniforms.uLoop;
+  if (period > 0.0) {
+    let radius = period * speed / 6.2831853;
+    let angle = time / period * 6.2831853;
+    return valueNoise(vec3(x, seed + radius * cos(angle), radius * sin(angle)));
+  }
+  return valueNoise(vec3(x, seed + time * speed, 0.0));
+}
+
+fn bandShape(band: f32, x: f32) -> vec2<f32> {
+  let u = auroraUniforms;
+  let seed = u.uSeed + band * 37.0;
+  let speed = 0.15 * mix(0.8, 1.2, hash13(vec3(band, u.uSeed, 1.0)));
+  let waves = mix(1.0, 3.0, hash13(vec3(band, u.uSeed, 2.0)));
+  let base = 0.2 + band / u.uBandCount * 0.45 + (hash13(vec3(band, u.uSeed, 3.0)) - 0.5) * 0.06;
+
+  var wave = 0.0;
+  var amplitude = 0.5;
+  var frequency = waves;
+  for (var i = 0; i < 4; i++) {
+    if (f32(i) >= u.uOctaves) { break; }
+    wave += flow(x * frequency, seed + f32(i) * 19.1, speed) * amplitude;
+    frequency *= 2.0;
+    amplitude *= 0.5;
+  }
+
+  let height = mix(0.1, 0.22, hash13(vec3(band, u.uSeed, 4.0))) * (0.7 + 0.3 * flow(x * 3.0, seed + 5.0, 0.2));
+  return vec2(base + wave * 0.12, height);
+}
+
+@vertex
+fn mainVertex(@location(0) aPosition: vec2<f32>, @location(1) aUV: vec2<f32>) -> VSOutput {
+  let mvp = globalUniforms.uProjectionMatrix * globalUniforms.uWorldTransformMatrix * localUniforms.uTransformMatrix;
+
+  var edgeA = vec4(0.0);
+  var edgeB = vec4(0.0);
+  var heightA = vec4(1.0);
+  var heightB = vec4(1.0);
+  let x = aUV.x * auroraUniforms.uAspect;
+  for (var i = 0; i < ${MAX_BANDS}; i++) {
+    let band = f32(i);
+    if (band >= auroraUniforms.uBandCount) { break; }
+    let shape = bandShape(band, x);
+    if (i < 4) {
+      edgeA[i] = shape.x;
+      heightA[i] = shape.y;
+    } else {
+      edgeB[i - 4] = shape.x;
+      heightB[i - 4] = shape.y;
+    }
+  }
+
+  return VSOutput(vec4((mvp * vec3(aPosition, 1.0)).xy, 0.0, 1.0), aUV, edgeA, edgeB, heightA, heightB);
+}
+
+@fragment
+fn mainFragment(input: VSOutput) -> @location(0) vec4<f32> {
+  let u = auroraUniforms;
+  let uv = input.uv;
+  let x = uv.x * u.uAspect;
+  var color = vec3(0.0);
+
+  for (var i = 0; i < ${MAX_BANDS}; i++) {
+    let band = f32(i);
+    if (band >= u.uBandCount) { break; }
+
+    var edge = 0.0;
+    var height = 1.0;
+    if (i < 4) {
+      edge = input.edgeA[i];
+      height = input.heightA[i];
+    } else {
+      edge = input.edgeB[i - 4];
+      height = input.heightB[i - 4];
+    }
+
+    let above = edge - uv.y;
+    if (above < -0.05) { continue; }
+    var curtain = smoothstep(-0.015, 0.01, above) * exp(-max(above, 0.0) / height);
+
+    let rays = flow(x * 60.0, u.uSeed + band * 37.0 + 11.0, 0.4) * 0.5 + 0.5;
+    curtain *= mix(0.3, 1.0, rays * rays);
+
+    let altitude = clamp(above / (height * 1.5), 0.0, 1.0);
+    color += mix(u.uLowColor, u.uHighColor, smoothstep(0.1, 0.9, altitude)) * curtain;
+  }
+
+  let tint = localUniforms.uColor;
+  return vec4(color * u.uIntensity * tint.rgb * tint.a, 0.0);
+}
+`;
 
 /**
- * Aurora Borealis effect using layered noise
- * Creates flowing bands of color across the sky
+ * Aurora Borealis: curtains of light with vertical rays, computed on the GPU
+ *
+ * A strip of columns over the upper sky runs a shader that draws every band:
+ * each column's vertices work out the wavy lower edges from layered noise,
+ * and each pixel adds a glow fading upward from them, ray streaks and a
+ * green-to-violet color by altitude. The CPU only updates uniforms.
  */
 export class Aurora {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.bandCount=5] - Curtains of light (up to 8)
+   * @param {number} [options.intensity=0.4] - Brightness
+   * @param {number} [options.resolution=160] - Columns across the screen the edges are computed at
+   * @param {number} [options.lowColor] - Color at the curtains' lower edge
+   * @param {number} [options.highColor] - Color toward their tops
+   * @param {string} [options.layer='scene']
+   * @param {number|string} [options.seed] - See registerSceneType
+   */
   constructor(options = {}) {
-    this.bandCount = options.bandCount || 5;
-    this.resolution = options.resolution || 80; // Points per band
+    this.bandCount = clamp(options.bandCount || 5, 1, MAX_BANDS);
     this.intensity = options.intensity || 0.4;
+    this.baseResolution = options.resolution || 160;
+    this.resolution = this.baseResolution;
+    this.lowColor = options.lowColor ?? christmasColors.aurora[0];
+    this.highColor = options.highColor ?? christmasColors.aurora[3];
+    this.octaves = 3; // Noise octaves for the waving edge, lowered by setQuality()
+    this.layer = options.layer || 'scene';
+
+    this.seed = options.seed ?? randomSeed();
 
     this.container = new Container();
-    this.noise = new Noise();
-    this.bands = [];
+    this.mesh = null;
     this.app = null;
   }
 
   onAdd(app) {
     this.app = app;
-    this.createBands();
+    this.createMesh();
 
-    // Add to scene layer (behind particles)
-    app.layers.scene.addChild(this.container);
+    // Add to scene layer by default (behind particles)
+    app.layers[this.layer].addChild(this.container);
   }
 
-  createBands() {
-    const { width, height } = this.app;
-    const colors = christmasColors.aurora;
+  createMesh() {
+    const random = createRandom(deriveSeed(this.seed, 'bands'));
 
-    for (let i = 0; i < this.bandCount; i++) {
-      const band = new Graphics();
-
-      // Each band gets properties
-      band.colorIndex = i % colors.length;
-      band.baseY = height * (0.1 + (i / this.bandCount) * 0.35); // Upper portion of screen
-      band.amplitude = randomRange(30, 80);
-      band.phaseOffset = randomRange(0, Math.PI * 2);
-      band.speedMultiplier = randomRange(0.8, 1.2);
-      band.noiseScale = randomRange(0.001, 0.003);
-      band.thickness = randomRange(40, 100);
+    const shader = Shader.from({
+      // highp in both stages, as they share uniforms and the hashes need the precision
+      gl: { vertex, fragment, name: 'aurora', preferredFragmentPrecision: 'highp' },
+      gpu: {
+        vertex: { source, entryPoint: 'mainVertex' },
+        fragment: { source, entryPoint: 'mainFragment' }
+      },
+      resources: {
+        auroraUniforms: {
+          uLowColor: { value: new Float32Array(new Color(this.lowColor).toRgbArray()), type: 'vec3<f32>' },
+          uTime: { value: 0, type: 'f32' },
+          uHighColor: { value: new Float32Array(new Color(this.highColor).toRgbArray()), type: 'vec3<f32>' },
+          uLoop: { value: 0, type: 'f32' },
+          uIntensity: { value: this.intensity, type: 'f32' },
+          uBandCount: { value: this.bandCount, type: 'f32' },
+          uAspect: { value: 1, type: 'f32' },
+          // Kept small so hashes of it stay precise in 32-bit floats
+          uSeed: { value: Math.floor(random() * 1000), type: 'f32' },
+          uOctaves: { value: this.octaves, type: 'f32' }
+        }
+      }
+    });
 
-      this.bands.push(band);
-      this.container.addChild(band);
-    }
+    this.mesh = new Mesh({ geometry: this.createGeometry(), shader });
+    this.mesh.blendMode = 'add';
+    this.container.addChild(this.mesh);
+    this.onResize(this.app.width, this.app.height);
   }
 
-  update(delta, elapsed) {
-    const { width, height } = this.app;
-    const colors = christmasColors.aurora;
-
-    for (const band of this.bands) {
-      band.clear();
-
-      const points = [];
-      const bottomPoints = [];
-
-      // Generate wave points using noise
-      for (let i = 0; i <= this.resolution; i++) {
-        const t = i / this.resolution;
-        const x = t * width;
-
-        // Layer multiple noise frequencies for organic motion
-        const noise1 = this.noise.fbm3D(
-          x * band.noiseScale,
-          band.baseY * 0.01,
-          elapsed * 0.15 * band.speedMultiplier + band.phaseOffset,
-          { octaves: 3, scale: 1 }
-        );
-
-        const noise2 = this.noise.fbm3D(
-          x * band.noiseScale * 2,
-          band.baseY * 0.01 + 100,
-          elapsed * 0.1 * band.speedMultiplier,
-          { octaves: 2, scale: 1 }
-        );
-
-        // Combine noises for y position
-        const y = band.baseY + noise1 * band.amplitude + noise2 * band.amplitude * 0.5;
-
-        // Thickness varies along the band
-        const thicknessNoise = this.noise.get3D(
-          x * 0.005,
-          0,
-          elapsed * 0.2
-        );
-        const thickness = band.thickness * (0.5 + (thicknessNoise + 1) * 0.5);
-
-        points.push({ x, y });
-        bottomPoints.push({ x, y: y + thickness });
-      }
+  /**
+   * Unit strip of `resolution` columns, scaled to the sky in onResize()
+   */
+  createGeometry() {
+    const columns = this.resolution;
+    const positions = new Float32Array((columns + 1) * 4);
+    const indices = new Uint32Array(columns * 6);
 
-      // Get colors for this band
-      const color1 = colors[band.colorIndex];
-      const color2 = colors[(band.colorIndex + 1) % colors.length];
+    for (let i = 0; i <= columns; i++) {
+      const x = i / columns;
+      positions.set([x, 0, x, 1], i * 4);
+      if (i < columns) {
+        const top = i * 2;
+        indices.set([top, top + 1, top + 2, top + 1, top + 3, top + 2], i * 6);
+      }
+    }
 
-      // Draw the band as a filled shape with gradient-like effect
-      // We'll draw multiple thin strips to simulate gradient
-      const strips = 8;
-      for (let s = 0; s < strips; s++) {
-        const st = s / strips;
-        const stripColor = lerpColor(color1, color2, st);
-        const alpha = this.intensity * (1 - Math.abs(st - 0.5) * 1.5); // Fade at edges
+    // Positions double as UVs
+    return new MeshGeometry({ positions, uvs: positions.slice(), indices });
+  }
 
-        band.moveTo(points[0].x, lerp(points[0].y, bottomPoints[0].y, st));
+  get uniforms() {
+    return this.mesh.shader.resources.auroraUniforms.uniforms;
+  }
 
-        for (let i = 1; i < points.length; i++) {
-          const topY = lerp(points[i].y, bottomPoints[i].y, st);
-          const botY = lerp(points[i].y, bottomPoints[i].y, st + 1 / strips);
+  update(delta, elapsed) {
+    // Fade with the day/night cycle and cloud cover; skip drawing while invisible
+    const visibility = (this.app.timeOfDay?.state.aurora ?? 1) * (this.app.weather?.params.aurora ?? 1);
+    this.container.alpha = visibility;
+    this.container.visible = visibility > 0;
+    if (!this.container.visible) return;
 
-          band.lineTo(points[i].x, topY);
-        }
+    const uniforms = this.uniforms;
+    uniforms.uTime = elapsed;
+    uniforms.uLoop = this.app.loopDuration || 0;
+    uniforms.uIntensity = this.intensity;
+    uniforms.uBandCount = this.bandCount;
+    uniforms.uOctaves = this.octaves;
+  }
 
-        // Go back along bottom
-        for (let i = points.length - 1; i >= 0; i--) {
-          const botY = lerp(points[i].y, bottomPoints[i].y, st + 1 / strips);
-          band.lineTo(points[i].x, botY);
-        }
+  /**
+   * Fewer columns and noise octaves on lower tiers (see QualityGovernor)
+   */
+  setQuality(tier) {
+    this.octaves = clamp(Math.round(3 * tier.detail), 1, 4);
 
-        band.closePath();
-        band.fill({ color: stripColor, alpha: alpha });
-      }
+    const resolution = Math.max(16, Math.round(this.baseResolution * tier.detail));
+    if (resolution !== this.resolution) {
+      this.resolution = resolution;
+      const previous = this.mesh.geometry;
+      this.mesh.geometry = this.createGeometry();
+      previous.destroy();
     }
   }
 
   onResize(width, height) {
-    // Recreate bands with new dimensions
-    this.container.removeChildren();
-    this.bands = [];
-    this.createBands();
+    this.mesh.scale.set(width, height * EXTENT);
+    this.uniforms.uAspect = width / (height * EXTENT);
   }
 
   onDestroy() {
+    const { geometry, shader } = this.mesh;
     this.container.destroy({ children: true });
+    geometry.destroy();
+    shader.destroy();
   }
 }
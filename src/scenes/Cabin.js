@@ -0,0 +1,376 @@
+import { Container, Graphics, Particle, ParticleContainer, Rectangle } from 'pixi.js';
+import { getParticleAtlas, DOT_RADIUS } from '../utils/particleTextures.js';
+import { Noise } from '../utils/noise.js';
+import { christmasColors } from '../utils/color.js';
+import { randomRange, lerp, clamp, wrap } from '../utils/math.js';
+import { createRandom, deriveSeed, randomSeed } from '../utils/random.js';
+
+const LOG_COLOR = 0x6B4426;
+const LOG_SHADE = 0x4A2E1A;
+const ROOF_COLOR = 0x3B2A20;
+const STONE_COLOR = 0x6E6A66;
+export const WINDOW_LIGHT = 0xFFC36B; // Warm lamplight
+const SMOKE_COLOR = 0xC8CCD6;
+
+// Smoke, in pixels (per second) for a cabin at scale 1
+const SMOKE_RISE = 28; // Upward speed as a puff leaves the chimney
+const SMOKE_LIFETIME = 6; // Seconds a puff lasts
+const WIND_PUSH = 40; // Sideways drift per unit of wind
+const SMOKE_SWIRL = 18; // Flow field speed, growing as the puff spreads
+
+/**
+ * Window panes of a cabin, either side of the door
+ * @param {number} width - Wall width in pixels
+ * @param {number} count - Lit windows
+ * @returns {Object[]} { x, y, size } pane centers, relative to the middle of the cabin's base
+ */
+export function windowPanes(width, count) {
+  const wall = width * 0.55; // Wall height, as drawn by Cabin
+  const panes = [];
+  for (let i = 0; i < count; i++) {
+    const side = i % 2 ? 1 : -1;
+    const column = Math.floor(i / 2);
+    panes.push({ x: side * width * (0.28 + column * 0.12), y: -wall * 0.62, size: width * 0.13 });
+  }
+  return panes;
+}
+
+/**
+ * Lamplight in the panes, and a soft spill of it around each window and
+ * onto the snow below (into glow, which may be the same Graphics)
+ */
+export function drawLamplight(light, glow, panes) {
+  for (const pane of panes) {
+    light.rect(pane.x - pane.size / 2, pane.y - pane.size / 2, pane.size, pane.size);
+  }
+  light.fill(WINDOW_LIGHT);
+
+  for (const pane of panes) {
+    glow.circle(pane.x, pane.y, pane.size * 1.6);
+    glow.fill({ color: WINDOW_LIGHT, alpha: 0.12 });
+    glow.ellipse(pane.x, 0, pane.size * 1.4, pane.size * 0.35);
+    glow.fill({ color: WINDOW_LIGHT, alpha: 0.1 });
+  }
+}
+
+/**
+ * Slow lamp flicker, around 0.88-1
+ * @param {Noise} noise
+ * @param {number} elapsed - Scene time
+ * @param {number|null} loop - Loop length, so the flicker repeats with it
+ * @param {number} [phase=0] - Sets lamps sharing one noise apart
+ */
+export function lampFlicker(noise, elapsed, loop, phase = 0) {
+  return 0.88 + noise.getLoop(phase, 0, elapsed * 4, loop * 4) * 0.12;
+}
+
+/**
+ * Small log cabin with glowing windows, snow on the roof and smoke rising
+ * from its chimney
+ *
+ * Placed like ChristmasTree: at a normalized position, or standing on a hill
+ * of app.terrain with `anchor`. On a back hill it is drawn among the hills
+ * (see SnowGround.mount) and scaled down with distance, so several cabins
+ * at different depths sit naturally in the landscape.
+ *
+ * The smoke is a plume of soft puffs carried by the wind (see
+ * Weather.windAt) and curled by a noise flow field. In loop mode each puff
+ * lives a whole number of times per loop, as a pure function of time.
+ */
+export class Cabin {
+  /**
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - See registerSceneType
+   */
+  constructor(options = {}) {
+    this.position = options.position || { x: 0.2, y: 0.8 }; // Normalized position (bottom center)
+    this.anchor = options.anchor || null; // Stand on a hill of app.terrain instead of position.y: { layer, sink, offset }
+    this.scale = options.scale ?? null; // Default: smaller on farther hills
+    this.size = options.size || 90; // Wall width in pixels at scale 1
+    this.layer = options.layer || 'scene';
+    this.smokeCount = options.smokeCount ?? 40; // Puffs in the plume (0 = no smoke)
+    this.windows = options.windows ?? 2; // Lit windows either side of the door
+
+    this.seed = options.seed ?? randomSeed();
+    this.random = createRandom(deriveSeed(this.seed, 'smoke'));
+    this.noise = new Noise(deriveSeed(this.seed, 'noise'));
+
+    this.container = new Container();
+    this.house = new Container(); // Drawn with the ground at its origin
+    this.body = new Graphics();
+    this.windowLight = new Graphics();
+    this.frames = new Graphics();
+    this.glow = new Graphics();
+    this.smoke = new ParticleContainer({
+      texture: getParticleAtlas().textures.dot,
+      dynamicProperties: { position: true, vertex: true, color: true }
+    });
+    this.puffs = [];
+    this.app = null;
+    this.stateful = true; // Smoke positions depend on past frames (see App.seek)
+  }
+
+  onAdd(app) {
+    this.app = app;
+
+    this.house.addChild(this.body);
+    this.house.addChild(this.windowLight);
+    this.house.addChild(this.frames);
+    this.house.addChild(this.glow);
+    this.container.addChild(this.house);
+    this.container.addChild(this.smoke);
+
+    this.layout();
+    this.draw();
+    this.reset();
+
+    // On a hill: among the hills, so nearer ones hide it; otherwise in its layer
+    if (this.anchor && app.terrain) {
+      this.unmount = app.terrain.mount(this.container, this.anchor.layer);
+    } else {
+      app.layers[this.layer].addChild(this.container);
+    }
+  }
+
+  /**
+   * Where the cabin stands and how big it is
+   */
+  layout() {
+    const { width, height } = this.app;
+    const x = width * this.position.x;
+    const terrain = this.anchor && this.app.terrain;
+
+    this.house.x = x;
+    this.house.y = terrain ? terrain.groundY(x, this.anchor) : height * this.position.y;
+
+    const depth = terrain ? terrain.getLayer(this.anchor.layer).depth : 1;
+    this.depthScale = this.scale ?? lerp(0.4, 1, depth);
+    this.house.scale.set(this.depthScale);
+
+    // Chimney top, where smoke leaves, in screen pixels
+    this.chimney = {
+      x: this.house.x + this.size * 0.28 * this.depthScale,
+      y: this.house.y - this.size * 1.02 * this.depthScale
+    };
+
+    this.smoke.boundsArea = new Rectangle(0, 0, width, height);
+  }
+
+  /**
+   * Walls of stacked logs, door, windows, a snow-laden gable roof and a
+   * stone chimney with its own snow cap
+   */
+  draw() {
+    const w = this.size;
+    const wall = w * 0.55;
+    const log = wall / 6;
+    const { body, windowLight, frames, glow } = this;
+
+    body.clear();
+    windowLight.clear();
+    frames.clear();
+    glow.clear();
+
+    // Chimney behind the roof slope
+    body.rect(w * 0.2, -w * 1.02, w * 0.16, w * 0.5);
+    body.fill(STONE_COLOR);
+
+    // Logs, with round ends poking out at the corners
+    body.rect(-w / 2, -wall, w, wall);
+    body.fill(LOG_COLOR);
+    for (let i = 0; i < 6; i++) {
+      const y = -wall + log * (i + 0.5);
+      body.moveTo(-w / 2, y + log / 2);
+      body.lineTo(w / 2, y + log / 2);
+      body.circle(-w / 2, y, log * 0.5);
+      body.circle(w / 2, y, log * 0.5);
+    }
+    body.stroke({ width: Math.max(1, log * 0.12), color: LOG_SHADE });
+    for (let i = 0; i < 6; i++) {
+      const y = -wall + log * (i + 0.5);
+      body.circle(-w / 2, y, log * 0.42);
+      body.circle(w / 2, y, log * 0.42);
+    }
+    body.fill(LOG_COLOR);
+
+    // Door
+    body.rect(-w * 0.09, -wall * 0.72, w * 0.18, wall * 0.72);
+    body.fill(LOG_SHADE);
+
+    // Windows either side of the door: lamplight behind dark frames, spilling out
+    const panes = windowPanes(w, this.windows);
+    drawLamplight(windowLight, glow, panes);
+    for (const pane of panes) {
+      frames.rect(pane.x - pane.size / 2, pane.y - pane.size / 2, pane.size, pane.size);
+      frames.moveTo(pane.x, pane.y - pane.size / 2);
+      frames.lineTo(pane.x, pane.y + pane.size / 2);
+      frames.moveTo(pane.x - pane.size / 2, pane.y);
+      frames.lineTo(pane.x + pane.size / 2, pane.y);
+    }
+    frames.stroke({ width: Math.max(1, w * 0.018), color: LOG_SHADE });
+
+    // Roof, overhanging the walls
+    const eave = -wall;
+    const ridge = -w * 0.95;
+    frames.moveTo(-w * 0.62, eave + log * 0.3);
+    frames.lineTo(0, ridge);
+    frames.lineTo(w * 0.62, eave + log * 0.3);
+    frames.closePath();
+    frames.fill(ROOF_COLOR);
+
+    // Snow on the roof: a thick blanket with soft lumps hanging over the eaves
+    const snow = christmasColors.snowWhite;
+    const depth = w * 0.07;
+    frames.moveTo(-w * 0.66, eave + log * 0.2);
+    frames.lineTo(0, ridge - depth);
+    frames.lineTo(w * 0.66, eave + log * 0.2);
+    frames.lineTo(w * 0.6, eave + log * 0.2 + depth * 0.4);
+    frames.lineTo(0, ridge + depth * 0.2);
+    frames.lineTo(-w * 0.6, eave + log * 0.2 + depth * 0.4);
+    frames.closePath();
+    frames.fill(snow);
+    for (const side of [-1, 1]) {
+      frames.circle(side * w * 0.6, eave + log * 0.35, depth * 0.55);
+      frames.circle(side * w * 0.5, eave - log * 0.1, depth * 0.45);
+    }
+    frames.fill(snow);
+
+    // Snow cap on the chimney
+    frames.roundRect(w * 0.18, -w * 1.06, w * 0.2, w * 0.06, w * 0.03);
+    frames.fill(snow);
+  }
+
+  createPuff() {
+    return new Particle({
+      texture: getParticleAtlas().textures.dot,
+      anchorX: 0.5,
+      anchorY: 0.5,
+      tint: SMOKE_COLOR
+    });
+  }
+
+  /**
+   * Start the plume over: puffs waiting to leave the chimney one after another
+   */
+  reset() {
+    this.random = createRandom(deriveSeed(this.seed, 'smoke'));
+    this.smoke.removeParticles();
+    this.puffs = [];
+
+    for (let i = 0; i < this.smokeCount; i++) {
+      const puff = this.createPuff();
+      puff.offset = i / this.smokeCount; // Place in the loop-mode cycle
+      this.launch(puff);
+      puff.age = -puff.offset * puff.lifetime; // Not out of the chimney yet
+      puff.alpha = 0;
+      this.puffs.push(puff);
+      this.smoke.addParticle(puff);
+    }
+  }
+
+  /**
+   * Send a puff out of the chimney
+   */
+  launch(puff) {
+    puff.x = this.chimney.x + randomRange(-2, 2, this.random) * this.depthScale;
+    puff.y = this.chimney.y;
+    puff.age = 0;
+    puff.lifetime = SMOKE_LIFETIME * randomRange(0.8, 1.2, this.random);
+    puff.growth = randomRange(0.8, 1.3, this.random);
+    puff.drift = randomRange(0, 1000, this.random); // Own patch of the flow field
+  }
+
+  /**
+   * Puff size and fade for its age: it swells and thins out as it rises
+   * @param {number} life - 0 (leaving the chimney) to 1 (gone)
+   */
+  shapePuff(puff, life) {
+    const size = lerp(3, 16, Math.sqrt(life)) * puff.growth * this.depthScale;
+    puff.scaleX = puff.scaleY = size / DOT_RADIUS;
+    puff.alpha = clamp(life * 8, 0, 1) * (1 - life) * 0.45;
+  }
+
+  /**
+   * Wind at the chimney, from the weather (calm without one)
+   */
+  get wind() {
+    return this.app.weather?.windAt(this.chimney.x) ?? 0;
+  }
+
+  update(delta, elapsed) {
+    const loop = this.app.loopDuration;
+
+    // The cabin takes the day/night lighting; lamps glow brighter after dark
+    const tint = this.app.timeOfDay?.state.tint ?? 0xFFFFFF;
+    this.body.tint = tint;
+    this.frames.tint = tint;
+    this.smoke.tint = tint;
+
+    const night = this.app.timeOfDay?.state.stars ?? 1;
+    const flicker = lampFlicker(this.noise, elapsed, loop);
+    this.windowLight.alpha = lerp(0.35, 1, night) * flicker;
+    this.glow.alpha = night * flicker;
+
+    if (loop) {
+      this.updateSmokeLooping(elapsed, loop);
+    } else {
+      this.updateSmoke(delta, elapsed);
+    }
+  }
+
+  /**
+   * Puffs rise, slowing as they cool, blown by the wind and curled by the
+   * flow field; spent ones go back to the chimney
+   */
+  updateSmoke(delta, elapsed) {
+    const wind = this.wind * WIND_PUSH * this.depthScale;
+
+    for (const puff of this.puffs) {
+      puff.age += delta;
+      if (puff.age < 0) continue;
+      if (puff.age > puff.lifetime) this.launch(puff);
+
+      const life = puff.age / puff.lifetime;
+      const flow = this.noise.flowField(puff.x + puff.drift, puff.y, elapsed, 0.01, 0.3);
+      const swirl = SMOKE_SWIRL * (0.3 + life) * this.depthScale;
+
+      puff.x += (wind * (0.3 + life) + flow.x * swirl) * delta;
+      puff.y += (-SMOKE_RISE * (1 - life * 0.7) * this.depthScale + flow.y * swirl * 0.5) * delta;
+      this.shapePuff(puff, life);
+    }
+  }
+
+  /**
+   * Loop mode: every puff lives a whole number of times per loop and its
+   * position is a function of its age, so the plume repeats exactly
+   */
+  updateSmokeLooping(elapsed, loop) {
+    const wind = this.wind * WIND_PUSH * this.depthScale;
+    const rise = SMOKE_RISE * this.depthScale;
+
+    for (const puff of this.puffs) {
+      const lifetime = loop / Math.max(1, Math.round(loop / puff.lifetime));
+      const age = wrap(elapsed + puff.offset * lifetime, 0, lifetime);
+      const life = age / lifetime;
+
+      // Height risen while slowing down (the integral of the rise speed above)
+      const y = this.chimney.y - rise * (age - 0.35 * age * life);
+      const flow = this.noise.flowField(this.chimney.x + puff.drift, y, elapsed, 0.01, 0.3, loop);
+      const swirl = SMOKE_SWIRL * (0.3 + life) * this.depthScale;
+
+      puff.x = this.chimney.x + wind * age * (0.3 + life * 0.5) + flow.x * swirl * age * 0.5;
+      puff.y = y + flow.y * swirl * age * 0.25;
+      this.shapePuff(puff, life);
+    }
+  }
+
+  onResize(width, height) {
+    this.layout();
+    this.reset();
+  }
+
+  onDestroy() {
+    this.unmount?.();
+    this.container.destroy({ children: true });
+  }
+}
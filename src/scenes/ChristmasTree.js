@@ -1,36 +1,134 @@
 import { Graphics, Container } from 'pixi.js';
 import { christmasColors, lerpColor } from '../utils/color.js';
-import { randomRange, randomPick, lerp } from '../utils/math.js';
+import { randomRange, randomPick, lerp, clamp, wrap, loopSpeed } from '../utils/math.js';
 import { Noise } from '../utils/noise.js';
+import { BloomFilter } from '../effects/filters/BloomFilter.js';
+import { createRandom, deriveSeed, randomSeed } from '../utils/random.js';
+import { LightSequencer } from './LightSequencer.js';
+import {
+  lightColors, bulbStyles, parseTreeLayout, toTreeSpace, fromTreeSpace, TREE_LAYOUT_VERSION
+} from './decorations.js';
+import { generateTree, drawTree, branchPoint, halfWidthAt } from './treeGenerator.js';
+
+const STRING_ROWS = 8; // Times the light string crosses the tree, base to tip
+const UNLIT_ALPHA = 0.1; // Switched-off bulbs stay faintly visible
+const GARLAND_TILT = 0.15; // How far the viewer looks down on the garland spirals
+const CLUMP_REACH = 14; // Pixels from a snow clump that a flake can land on it
+const SETTLE_REDRAW = 0.02; // Share of their snow clumps may lose before they're redrawn
+
+// Ornament pendulums
+const GRAVITY = 700; // Pixels/s²; a swing takes about a second
+const WIND_FORCE = 120; // Pixels/s² of push per unit of wind
+const PENDULUM_DAMPING = 1.2; // Per second
+const PENDULUM_STEP = 1 / 120; // Longest simulation step, seconds
+const MAX_SWING = 0.7; // Radians either side, even with room to spare
+const MIN_SWING = 0.12; // Radians either side, even between close neighbours
+const ORNAMENT_REACH = 40; // Pixels beyond the ball that the pointer still swings it
+const CLICK_IMPULSE = 3; // Radians/s given by a click right on an ornament
 
 /**
- * Detailed Christmas tree with layered branches, twinkling lights,
+ * Detailed Christmas tree with tiered branches, twinkling lights,
  * ornaments, and a glowing star topper
+ *
+ * The tree is generated from a species (see treeGenerator.js: fir, spruce,
+ * pine, charlie, flocked) with optional tiers, droop and needles overrides.
+ * Its branch geometry is exposed as tree.branches (screen pixels, see
+ * branchPoint): ornaments hang from branches, scattered lights sit on them
+ * and snow settles on them.
+ *
+ * Lights hang on spiral garland strands wrapping the tree (or, with
+ * garland: false, are scattered inside it) and run through patterns (see
+ * LightSequencer): pick one with the lightPattern option or
+ * setLightPattern() at runtime.
+ *
+ * Decorations are generated from the seed, or placed by hand with a layout
+ * (see decorations.js): the layout option, setLayout() and getLayout(),
+ * which DecoratingEditor uses.
+ *
+ * Ornaments are damped pendulums on their hooks, swung by gusts sweeping
+ * across the tree (see Weather.windAt) and, with `interactive: true`, by
+ * the pointer brushing or clicking them.
+ *
+ * Falling snow (see SnowSystem) collects in clumps on the branches that grow
+ * with each flake and slowly compact. Clumps are frozen in loop mode.
  */
 export class ChristmasTree {
+  /**
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - See registerSceneType
+   */
   constructor(options = {}) {
     this.position = options.position || { x: 0.5, y: 0.85 }; // Normalized position (bottom center)
+    this.anchor = options.anchor || null; // Stand on a hill of app.terrain instead of position.y: { layer, sink, offset }
     this.scale = options.scale || 1;
-    this.lightCount = options.lightCount || 60;
+    this.lightCount = options.lightCount || 60; // Scattered lights (garland strands are filled by spacing)
     this.ornamentCount = options.ornamentCount || 25;
+    this.layer = options.layer || 'scene';
+    this.accumulation = options.accumulation ?? 1; // Clump growth per landed flake (0 = no snow sticks)
+    this.interactive = options.interactive || false; // Ornaments swing when the pointer brushes or clicks them (see Pointer)
+
+    // Tree shape (see treeSpecies); tiers, droop and needles override the species
+    this.species = options.species || 'fir';
+    this.tiers = options.tiers ?? null;
+    this.droop = options.droop ?? null;
+    this.needles = options.needles || null;
+
+    // Garland strands: { strands, turns, spacing, sag, style: 'mini' | 'c9' | 'globe' }, or false to scatter lights
+    this.garland = options.garland === false
+      ? null
+      : { strands: 2, turns: 4, spacing: null, sag: 0.2, style: 'mini', ...options.garland };
+    if (this.garland && !bulbStyles[this.garland.style]) {
+      throw new Error(`Unknown bulb style "${this.garland.style}" (expected one of: ${Object.keys(bulbStyles).join(', ')})`);
+    }
+
+    // Hand-placed decorations in tree space (see decorations.js); null to generate them
+    this.layout = options.layout ? parseTreeLayout(options.layout) : null;
+
+    // Light pattern name, function or playlist (see lightPatterns)
+    this.sequencer = new LightSequencer({
+      pattern: options.lightPattern,
+      duration: options.lightPatternDuration,
+      transition: options.lightTransition
+    });
+
+    // Real bloom on lights and star instead of stacked glow circles (true or BloomFilter options)
+    this.bloomFilter = options.bloom
+      ? new BloomFilter({ threshold: 0, strength: 8 * this.scale, intensity: 1.5, ...options.bloom })
+      : null;
+
+    this.seed = options.seed ?? randomSeed();
+    this.random = createRandom(this.seed);
+    this.snowRandom = createRandom(deriveSeed(this.seed, 'snowfall'));
 
     this.container = new Container();
     this.treeContainer = new Container();
     this.lightsContainer = new Container();
+    this.backLightsContainer = new Container(); // Garland bulbs behind the branches
+    this.frontWire = new Graphics();
+    this.backWire = new Graphics();
     this.ornamentsContainer = new Container();
     this.starContainer = new Container();
 
     this.lights = [];
     this.ornaments = [];
-    this.noise = new Noise();
+    this.snowCover = new Graphics();
+    this.snowClumps = []; // Created with the branches in createTree()
+    this.snowDirty = false;
+    this.snowCompaction = 1; // Share of each clump left since the last draw
+    this.snowRedrawTimer = 0;
+    this.noise = new Noise(deriveSeed(this.seed, 'noise'));
     this.app = null;
+    this.stateful = true; // Light on/off timers, ornament swings and fallen snow depend on past frames (see App.seek)
   }
 
   onAdd(app) {
     this.app = app;
 
+    this.container.addChild(this.backWire);
+    this.container.addChild(this.backLightsContainer);
     this.container.addChild(this.treeContainer);
     this.container.addChild(this.ornamentsContainer);
+    this.container.addChild(this.frontWire);
     this.container.addChild(this.lightsContainer);
     this.container.addChild(this.starContainer);
 
@@ -39,250 +137,709 @@ export class ChristmasTree {
     this.createLights();
     this.createStar();
 
-    // Add to scene layer
-    app.layers.scene.addChild(this.container);
+    if (this.bloomFilter) {
+      this.lightsContainer.filters = [this.bloomFilter];
+      this.backLightsContainer.filters = [this.bloomFilter];
+      this.starContainer.filters = [this.bloomFilter];
+    }
+
+    if (this.interactive) {
+      this.disablePointer = app.pointer.enable();
+      this.unsubscribePress = app.pointer.onPress(point => this.nudgeOrnaments(point, CLICK_IMPULSE));
+    }
+
+    // Add to scene layer by default
+    app.layers[this.layer].addChild(this.container);
   }
 
   createTree() {
     const { width, height } = this.app;
     const baseX = width * this.position.x;
-    const baseY = height * this.position.y;
+    const baseY = this.anchor && this.app.terrain
+      ? this.app.terrain.groundY(baseX, this.anchor)
+      : height * this.position.y;
     const treeHeight = height * 0.55 * this.scale;
-    const baseWidth = treeHeight * 0.65;
 
-    this.treeContainer.removeChildren();
+    // The snow cover is kept (and redrawn), everything else is rebuilt
+    for (const child of this.treeContainer.removeChildren()) {
+      if (child !== this.snowCover) child.destroy();
+    }
+
+    // Same seed, same branches at any size, so snow clumps keep their places
+    this.shape = generateTree({
+      species: this.species,
+      tiers: this.tiers,
+      droop: this.droop,
+      needles: this.needles,
+      height: treeHeight,
+      x: baseX,
+      y: baseY,
+      random: createRandom(deriveSeed(this.seed, 'tree'))
+    });
+    this.branches = this.shape.branches;
 
     // Store tree bounds for placing decorations
     this.treeBounds = {
       x: baseX,
       y: baseY,
       height: treeHeight,
-      width: baseWidth
+      width: this.shape.width
     };
 
-    // Draw tree trunk
-    const trunk = new Graphics();
-    const trunkWidth = baseWidth * 0.12;
-    const trunkHeight = treeHeight * 0.12;
-    trunk.rect(-trunkWidth / 2, 0, trunkWidth, trunkHeight);
-    trunk.fill(0x4A3728); // Dark brown
-    trunk.x = baseX;
-    trunk.y = baseY;
-    this.treeContainer.addChild(trunk);
-
-    // Draw tree layers (4 overlapping triangles for depth)
-    const layerCount = 4;
-    const colors = [
-      christmasColors.treeDark,
-      christmasColors.treeMid,
-      christmasColors.treeMid,
-      christmasColors.treeLight
-    ];
+    const tree = new Graphics();
+    drawTree(tree, this.shape, createRandom(deriveSeed(this.seed, 'needles')));
+    this.treeContainer.addChild(tree);
 
-    for (let i = 0; i < layerCount; i++) {
-      const layer = new Graphics();
-      const layerT = i / (layerCount - 1);
-
-      // Each layer is offset and slightly different
-      const layerHeight = treeHeight * (0.9 - layerT * 0.15);
-      const layerWidth = baseWidth * (1 - layerT * 0.1);
-      const offsetY = layerT * treeHeight * 0.08;
-
-      // Create jagged tree edge using noise
-      this.drawJaggedTriangle(
-        layer,
-        0,
-        -layerHeight + offsetY,
-        layerWidth,
-        layerHeight,
-        colors[i],
-        i
-      );
+    // Add snow on branches
+    this.addSnowOnTree();
 
-      layer.x = baseX;
-      layer.y = baseY;
-      this.treeContainer.addChild(layer);
-    }
+    // Snow that has fallen since, on top of the static patches
+    if (!this.snowClumps.length) this.snowClumps = this.createSnowClumps();
+    this.treeContainer.addChild(this.snowCover);
+    this.drawSnowCover();
+  }
 
-    // Add snow on branches
-    this.addSnowOnTree(baseX, baseY, treeHeight, baseWidth);
+  /**
+   * Branches facing the viewer, where decorations show
+   */
+  frontBranches(minDepth = 0.2) {
+    const front = this.branches.filter(branch => branch.depth > minDepth);
+    return front.length ? front : this.branches;
   }
 
-  drawJaggedTriangle(graphics, tipX, tipY, baseWidth, height, color, seed) {
-    const resolution = 30;
-    const leftPoints = [];
-    const rightPoints = [];
+  /**
+   * Random branch, longer ones more likely so decorations spread out
+   * rather than bunching on the short branches pointing at the viewer
+   */
+  pickBranch(branches, random) {
+    const total = branches.reduce((sum, branch) => sum + branch.length, 0);
+    return randomPick(branches, branches.map(branch => branch.length / total), random);
+  }
 
-    for (let i = 0; i <= resolution; i++) {
-      const t = i / resolution;
+  /**
+   * Snow lying along the top of some of the front branches
+   */
+  addSnowOnTree() {
+    const snow = new Graphics();
+    const random = createRandom(deriveSeed(this.seed, 'snow'));
 
-      // Base triangle points
-      const leftX = tipX - (baseWidth / 2) * t;
-      const rightX = tipX + (baseWidth / 2) * t;
-      const y = tipY + height * t;
+    for (const branch of this.frontBranches(-0.2)) {
+      if (random() > 0.35) continue;
 
-      // Add noise for jagged edge
-      const noiseL = this.noise.fbm2D(t * 10 + seed * 100, 0, { scale: 1, octaves: 3 }) * 15;
-      const noiseR = this.noise.fbm2D(t * 10 + seed * 100 + 500, 0, { scale: 1, octaves: 3 }) * 15;
+      const point = branchPoint(branch, randomRange(0.35, 0.75, random));
+      const width = branch.length * randomRange(0.15, 0.3, random);
+      const height = Math.min(width * 0.35, randomRange(3, 7, random) * this.scale);
 
-      leftPoints.push({ x: leftX + noiseL, y });
-      rightPoints.push({ x: rightX + noiseR, y });
+      snow.ellipse(point.x, point.y - branch.breadth * 0.4, width, height);
+      snow.fill({ color: christmasColors.snowWhite, alpha: randomRange(0.6, 0.9, random) });
     }
 
-    // Draw shape
-    graphics.moveTo(tipX, tipY);
+    this.treeContainer.addChild(snow);
+  }
+
+  /**
+   * Spots on the branches where falling snow can collect: a branch index
+   * and a point along it, so they keep their place on resize
+   */
+  createSnowClumps() {
+    const random = createRandom(deriveSeed(this.seed, 'snowClumps'));
+    const clumps = [];
+
+    (this.branches ?? []).forEach((branch, index) => {
+      if (branch.depth < -0.3) return; // Hidden round the back
+
+      // Longer branches hold more clumps
+      const count = Math.max(1, Math.round(branch.length / (40 * this.scale)));
+      for (let c = 0; c < count; c++) {
+        clumps.push({
+          branch: index,
+          t: lerp(0.3, 0.95, (c + randomRange(0.2, 0.8, random)) / count),
+          size: randomRange(0.7, 1.3, random),
+          amount: 0
+        });
+      }
+    });
 
-    // Left edge
-    for (const p of leftPoints) {
-      graphics.lineTo(p.x, p.y);
-    }
+    return clumps;
+  }
 
-    // Bottom edge
-    graphics.lineTo(rightPoints[rightPoints.length - 1].x, rightPoints[rightPoints.length - 1].y);
+  /**
+   * Where a snow clump sits on its branch, in screen pixels
+   */
+  clumpPosition(clump) {
+    const branch = this.branches[clump.branch];
+    const point = branchPoint(branch, clump.t);
+    return { x: point.x, y: point.y - branch.breadth * 0.3 * (1 - clump.t) };
+  }
 
-    // Right edge (reversed)
-    for (let i = rightPoints.length - 1; i >= 0; i--) {
-      graphics.lineTo(rightPoints[i].x, rightPoints[i].y);
+  /**
+   * Land a falling flake on the branches
+   * @param {Object} flake - Exposes x, y, depth (0 = back, 1 = front) and size (radius in pixels)
+   * @param {number} delta - Seconds since the last frame
+   * @returns {boolean} True if the flake landed (the caller recycles it)
+   */
+  catchSnow(flake, delta) {
+    if (!this.accumulation || this.app.loopDuration || !this.treeBounds) return false;
+
+    // Flakes far behind or right in front of the tree pass by
+    if (flake.depth < 0.3 || flake.depth > 0.8) return false;
+    if (!this.isOnTree(flake.x, flake.y)) return false;
+
+    // Flakes filter down through the branches instead of all stopping at the edge
+    if (this.snowRandom() > delta * 3) return false;
+
+    // Land on the nearest clump; flakes between sparse branches fall through
+    let nearest = null;
+    let nearestDistance = CLUMP_REACH * this.scale;
+    for (const clump of this.snowClumps) {
+      const { x, y } = this.clumpPosition(clump);
+      const distance = Math.hypot(flake.x - x, flake.y - y);
+      if (distance < nearestDistance) {
+        nearest = clump;
+        nearestDistance = distance;
+      }
     }
+    if (!nearest) return false;
 
-    graphics.closePath();
-    graphics.fill(color);
-  }
+    nearest.amount = Math.min(1, nearest.amount + flake.size * 0.02 * this.accumulation);
 
-  addSnowOnTree(baseX, baseY, treeHeight, baseWidth) {
-    const snowPatches = 12;
-    const snow = new Graphics();
+    this.snowDirty = true;
+    return true;
+  }
 
-    for (let i = 0; i < snowPatches; i++) {
-      // Random position on tree
-      const t = randomRange(0.1, 0.9); // Vertical position
-      const horizontalSpread = (baseWidth / 2) * t;
+  drawSnowCover() {
+    this.snowCover.clear();
+    this.snowCompaction = 1;
 
-      const x = baseX + randomRange(-horizontalSpread * 0.7, horizontalSpread * 0.7);
-      const y = baseY - treeHeight * (1 - t) + randomRange(-20, 20);
+    for (const clump of this.snowClumps) {
+      if (clump.amount < 0.02) continue;
 
-      // Draw snow patch (elongated ellipse)
-      const width = randomRange(15, 40);
-      const height = randomRange(5, 12);
+      const { x, y } = this.clumpPosition(clump);
+      const width = lerp(4, 22, clump.amount) * clump.size * this.scale;
 
-      snow.ellipse(x, y, width, height);
-      snow.fill({ color: christmasColors.snowWhite, alpha: randomRange(0.6, 0.9) });
+      this.snowCover.ellipse(x, y, width, width * 0.35);
+      this.snowCover.fill({ color: christmasColors.snowWhite, alpha: lerp(0.5, 0.9, clump.amount) });
     }
+  }
 
-    this.treeContainer.addChild(snow);
+  /**
+   * Clumps slowly compact; redraw a few times a second while snow lands,
+   * and now and then as they shrink
+   */
+  updateSnowCover(delta) {
+    const compact = 1 - 0.005 * delta;
+    for (const clump of this.snowClumps) clump.amount *= compact;
+
+    this.snowCompaction *= compact;
+    if (this.snowCompaction < 1 - SETTLE_REDRAW) this.snowDirty = true;
+
+    this.snowRedrawTimer += delta;
+    if (this.snowDirty && this.snowRedrawTimer > 0.25) {
+      this.drawSnowCover();
+      this.snowDirty = false;
+      this.snowRedrawTimer = 0;
+    }
   }
 
   createLights() {
-    const bounds = this.treeBounds;
+    const random = createRandom(deriveSeed(this.seed, 'lights'));
+    const patternRandom = createRandom(deriveSeed(this.seed, 'light-patterns'));
 
-    this.lightsContainer.removeChildren();
+    this.lightsContainer.removeChildren().forEach(child => child.destroy());
+    this.backLightsContainer.removeChildren().forEach(child => child.destroy());
     this.lights = [];
 
-    const lightColors = [
-      christmasColors.lightGold,
-      christmasColors.lightWarm,
-      christmasColors.lightRed,
-      christmasColors.lightBlue,
-      christmasColors.lightGreen,
-      christmasColors.lightPink,
-      christmasColors.lightPurple
-    ];
+    let strands;
+    if (this.layout?.lights) {
+      strands = this.layoutPlaced();
+    } else if (this.garland) {
+      strands = this.layoutGarland(random);
+    } else {
+      strands = [this.layoutScatter(random)];
+    }
+
+    for (const strand of strands) {
+      strand.forEach((spot, index) => {
+        const light = new Graphics();
+        this.drawBulb(light, spot.color, spot.size, spot.style);
+
+        light.x = spot.x;
+        light.y = spot.y;
+        light.rotation = spot.rotation ?? 0;
+
+        // Where the bulb sits, for patterns
+        light.index = index;
+        light.level = spot.level;
+        light.across = spot.across;
+        light.depth = spot.depth;
+        light.colorIndex = Math.max(0, lightColors.indexOf(spot.color));
+
+        // Kept for getLayout()
+        light.size = spot.size;
+        light.style = spot.style;
+        light.strand = spot.strand;
+
+        // Animation properties (bulbs round the back are dimmer)
+        light.baseAlpha = lerp(0.45, 1, (spot.depth + 1) / 2);
+        light.twinkleSpeed = randomRange(1, 4, random);
+        light.twinkleOffset = randomRange(0, Math.PI * 2, random);
+        light.color = spot.color;
+        light.isOn = true;
+        light.onDuration = randomRange(2, 8, random);
+        light.offDuration = randomRange(0.1, 0.5, random);
+        light.timer = randomRange(0, light.onDuration, random);
+
+        // Blink cycle used in loop mode, where blinking is a pure function of time
+        light.blinkCycle = light.onDuration + light.offDuration;
+        light.blinkPhase = light.timer / light.blinkCycle;
+        light.seed = patternRandom();
+
+        this.lights.push(light);
+        (spot.depth < 0 ? this.backLightsContainer : this.lightsContainer).addChild(light);
+      });
+    }
+
+    this.drawWire(strands);
+  }
+
+  /**
+   * Lights from the layout, grouped by strand (in layout order) with
+   * unstranded lights last
+   * @returns {Object[][]} Bulb spots per strand
+   */
+  layoutPlaced() {
+    const bounds = this.treeBounds;
+    const strands = new Map();
+
+    for (const item of this.layout.lights) {
+      const { x, y } = fromTreeSpace(bounds, item);
+      const halfWidth = halfWidthAt(this.shape, item.y);
+      const key = item.strand ?? 'loose';
+      if (!strands.has(key)) strands.set(key, []);
+      strands.get(key).push({
+        x,
+        y,
+        level: item.y,
+        across: halfWidth > 0 ? clamp((x - bounds.x) / halfWidth, -1, 1) : 0,
+        depth: item.depth,
+        color: item.color,
+        size: item.size * bounds.height,
+        style: item.style,
+        strand: item.strand
+      });
+    }
+
+    const loose = strands.get('loose');
+    strands.delete('loose');
+    return loose ? [...strands.values(), loose] : [...strands.values()];
+  }
+
+  /**
+   * Lights clipped to random front branches, as one string numbered
+   * zigzagging up the tree so chases run across and up
+   * @returns {Object[]} Bulb spots: { x, y, level, across, depth, color, size, style }
+   */
+  layoutScatter(random) {
+    const bounds = this.treeBounds;
+    const branches = this.frontBranches(0);
+    const spots = [];
 
     for (let i = 0; i < this.lightCount; i++) {
-      // Position lights within tree triangle
-      const t = randomRange(0.05, 0.95); // Vertical position
-      const horizontalSpread = (bounds.width / 2) * t * 0.8;
+      const branch = this.pickBranch(branches, random);
+      const { x, y } = branchPoint(branch, randomRange(0.35, 1, random));
+      const level = clamp((bounds.y - y) / bounds.height, 0, 1);
+      const halfWidth = halfWidthAt(this.shape, level);
+
+      spots.push({
+        x,
+        y,
+        level,
+        across: halfWidth > 0 ? clamp((x - bounds.x) / halfWidth, -1, 1) : 0,
+        depth: branch.depth,
+        color: randomPick(lightColors, null, random),
+        size: randomRange(2, 4, random),
+        style: 'mini',
+        strand: null
+      });
+    }
 
-      const x = bounds.x + randomRange(-horizontalSpread, horizontalSpread);
-      const y = bounds.y - bounds.height * (1 - t);
+    const along = (spot) => {
+      const row = Math.min(STRING_ROWS - 1, Math.floor(spot.level * STRING_ROWS));
+      const side = (spot.across + 1) / 2;
+      return row + (row % 2 ? 1 - side : side);
+    };
+    return spots.sort((a, b) => along(a) - along(b));
+  }
 
-      const light = new Graphics();
-      const color = randomPick(lightColors);
-      const size = randomRange(2, 4);
+  /**
+   * Lights along spiral strands wrapping the tree, evenly spaced along each
+   * strand in 3D. The strands follow the crown outline seen from slightly
+   * above, so the spirals read as tilted ellipses, swagging between the
+   * branch tips of each tier; spots with depth < 0 are round the back.
+   * @returns {Object[][]} Bulb spots per strand, in order from the bottom
+   */
+  layoutGarland(random) {
+    const { x: baseX, y: baseY, height } = this.treeBounds;
+    const { strands, turns, sag, style } = this.garland;
+    const bulb = bulbStyles[style];
+    const spacing = (this.garland.spacing || bulb.spacing) * this.scale;
+    const samples = Math.ceil(turns * 120);
+
+    const radiusAt = (y) => halfWidthAt(this.shape, y / height);
+    const swags = this.shape.whorl;
+    // Lowest boughs, so strands don't wrap a bare trunk (pines)
+    const bottom = height * Math.max(0.06, this.shape.outline[0].level);
+
+    const result = [];
+    for (let s = 0; s < strands; s++) {
+      const start = (s / strands) * Math.PI * 2 + randomRange(-0.3, 0.3, random);
+      const spots = [];
+      let travelled = spacing * randomRange(0, 1, random);
+      let previous = null;
+
+      for (let i = 0; i <= samples; i++) {
+        // Bottom to near the tip, hanging in swags between branch tips
+        const u = i / samples;
+        const angle = start + u * turns * Math.PI * 2;
+        const rise = lerp(bottom, height * 0.82, u);
+        const swag = Math.abs(Math.sin(angle * swags / 2));
+        const y = Math.max(bottom, rise - swag * sag * radiusAt(rise) * 0.15);
+        const radius = radiusAt(y);
+        const point = { x: Math.sin(angle) * radius, y, z: Math.cos(angle) * radius, radius };
+
+        if (previous) {
+          travelled += Math.hypot(point.x - previous.x, point.y - previous.y, point.z - previous.z);
+        }
+        previous = point;
+        if (travelled < spacing) continue;
+        travelled -= spacing;
+
+        spots.push({
+          x: baseX + point.x,
+          y: baseY - point.y + point.z * GARLAND_TILT,
+          level: point.y / height,
+          across: point.radius > 0 ? point.x / point.radius : 0,
+          depth: point.radius > 0 ? point.z / point.radius : 1,
+          color: lightColors[(spots.length + s) % lightColors.length],
+          size: bulb.size * this.scale * randomRange(0.9, 1.1, random) * (point.z < 0 ? 0.85 : 1),
+          style,
+          strand: s,
+          rotation: style === 'c9' ? randomRange(-0.5, 0.5, random) + Math.sin(angle) * 0.6 : 0
+        });
+      }
+      result.push(spots);
+    }
+    return result;
+  }
 
-      // Draw light bulb (small circle with glow)
-      // Outer glow
+  /**
+   * Bulb shape, white-hot core and (without bloom) a soft halo
+   */
+  drawBulb(light, color, size, style) {
+    if (!this.bloomFilter) {
       light.circle(0, 0, size * 3);
       light.fill({ color, alpha: 0.15 });
       light.circle(0, 0, size * 2);
       light.fill({ color, alpha: 0.25 });
-      // Core
+    }
+
+    if (style === 'c9') {
+      // Pointed cone bulb on a dark socket
+      light.rect(-size * 0.35, size * 0.2, size * 0.7, size * 0.5);
+      light.fill(0x1E2A22);
+      light.moveTo(-size * 0.5, size * 0.2);
+      light.bezierCurveTo(-size * 0.8, -size * 0.6, -size * 0.2, -size * 1.3, 0, -size * 1.5);
+      light.bezierCurveTo(size * 0.2, -size * 1.3, size * 0.8, -size * 0.6, size * 0.5, size * 0.2);
+      light.closePath();
+      light.fill({ color, alpha: 0.9 });
+    } else if (style === 'globe') {
+      // Round bulb with a glassy highlight
       light.circle(0, 0, size);
       light.fill({ color, alpha: 0.9 });
+      light.circle(-size * 0.3, -size * 0.35, size * 0.3);
+      light.fill({ color: 0xFFFFFF, alpha: 0.5 });
+    } else {
+      light.circle(0, 0, size);
+      light.fill({ color, alpha: 0.9 });
+    }
+  }
 
-      light.x = x;
-      light.y = y;
-
-      // Animation properties
-      light.baseAlpha = 1;
-      light.twinkleSpeed = randomRange(1, 4);
-      light.twinkleOffset = randomRange(0, Math.PI * 2);
-      light.color = color;
-      light.isOn = true;
-      light.onDuration = randomRange(2, 8);
-      light.offDuration = randomRange(0.1, 0.5);
-      light.timer = randomRange(0, light.onDuration);
-
-      this.lights.push(light);
-      this.lightsContainer.addChild(light);
+  /**
+   * Faint wire between neighbouring bulbs on a strand, sagging between
+   * them; segments round the back go behind the branches
+   */
+  drawWire(strands) {
+    this.frontWire.clear();
+    this.backWire.clear();
+
+    const sag = this.garland?.sag ?? 0.2;
+    for (const spots of strands) {
+      for (let i = 1; i < spots.length; i++) {
+        const a = spots[i - 1];
+        const b = spots[i];
+        if (a.strand === null || a.strand !== b.strand) continue;
+        const wire = a.depth + b.depth < 0 ? this.backWire : this.frontWire;
+        const droop = Math.hypot(b.x - a.x, b.y - a.y) * sag;
+        wire.moveTo(a.x, a.y);
+        wire.quadraticCurveTo((a.x + b.x) / 2, (a.y + b.y) / 2 + droop, b.x, b.y);
+      }
     }
+
+    const stroke = { width: Math.max(1, this.scale), color: 0x1E2A22, alpha: 0.6 };
+    this.frontWire.stroke(stroke);
+    this.backWire.stroke(stroke);
   }
 
   createOrnaments() {
     const bounds = this.treeBounds;
+    const random = createRandom(deriveSeed(this.seed, 'ornaments'));
+    const hangRandom = createRandom(deriveSeed(this.seed, 'ornament-hooks'));
 
-    this.ornamentsContainer.removeChildren();
+    this.ornamentsContainer.removeChildren().forEach(child => child.destroy());
     this.ornaments = [];
 
-    const colors = christmasColors.ornaments;
-
-    for (let i = 0; i < this.ornamentCount; i++) {
-      // Position ornaments within tree
-      const t = randomRange(0.15, 0.9);
-      const horizontalSpread = (bounds.width / 2) * t * 0.7;
+    if (this.layout?.ornaments) {
+      for (const item of this.layout.ornaments) {
+        this.createOrnament({
+          ...item,
+          ...fromTreeSpace(bounds, item),
+          size: item.size * bounds.height,
+          thread: item.thread * bounds.height
+        }, random);
+      }
+    } else {
+      const colors = christmasColors.ornaments;
+
+      const branches = this.frontBranches();
+
+      for (let i = 0; i < this.ornamentCount; i++) {
+        // Hooked out along a branch facing the viewer
+        const branch = this.pickBranch(branches, random);
+        const hook = branchPoint(branch, randomRange(0.45, 0.9, random));
+        const size = randomRange(6, 12, random);
+        const thread = randomRange(4, 12, hangRandom);
+
+        this.createOrnament({
+          x: hook.x,
+          y: hook.y + thread + 3 + size,
+          color: randomPick(colors, null, random),
+          size,
+          style: 'ball',
+          thread
+        }, random);
+      }
+    }
 
-      const x = bounds.x + randomRange(-horizontalSpread, horizontalSpread);
-      const y = bounds.y - bounds.height * (1 - t);
+    this.limitSwings();
+  }
 
-      const ornament = new Graphics();
-      const color = randomPick(colors);
-      const size = randomRange(6, 12);
+  /**
+   * Hang one ornament, hooked to a branch above its ball
+   * @param {Object} spec - { x, y, color, size, style, thread }: ball center in screen pixels
+   * @param {Function} random - For its sway
+   */
+  createOrnament({ x, y, color, size, style, thread }, random) {
+    const ornament = new Graphics();
+    const drop = thread + 3 + size;
+    this.drawOrnament(ornament, color, size, style, thread, drop);
+
+    ornament.x = x;
+    ornament.y = y - drop;
+
+    // Kept for getLayout()
+    ornament.color = color;
+    ornament.style = style;
+    ornament.thread = thread;
+
+    // Pendulum: swing is the angle to the right of straight down (radians)
+    ornament.size = size;
+    ornament.length = drop;
+    ornament.drag = 8 / size; // Small ornaments catch more wind for their weight
+    ornament.swing = 0;
+    ornament.swingVelocity = 0;
+    ornament.kickSwing = 0; // Pointer swing on top of the loop-mode sway
+    ornament.kickVelocity = 0;
+
+    // Sway in loop mode, where the pendulum isn't simulated
+    ornament.swingSpeed = randomRange(0.5, 1.5, random);
+    ornament.swingOffset = randomRange(0, Math.PI * 2, random);
+    ornament.swingAmount = randomRange(0.02, 0.05, random);
+
+    this.ornaments.push(ornament);
+    this.ornamentsContainer.addChild(ornament);
+    return ornament;
+  }
 
+  /**
+   * Ornament hanging by a thread, drawn with the hook at the origin so
+   * rotation swings it like a pendulum
+   * @param {number} drop - Hook to ball center
+   */
+  drawOrnament(ornament, color, size, style, thread, drop) {
+    ornament.circle(0, 0, 1.5);
+    ornament.stroke({ width: 1, color: 0xC9B37E, alpha: 0.8 });
+    ornament.moveTo(0, 1.5);
+    ornament.lineTo(0, thread);
+    ornament.stroke({ width: 1, color: 0xC9B37E, alpha: 0.6 });
+
+    const top = drop - size;
+    if (style === 'drop') {
+      // Teardrop, rounded at the cap and drawn out to a point
+      ornament.moveTo(0, top);
+      ornament.bezierCurveTo(size * 1.2, top, size * 1.1, drop + size * 0.7, 0, drop + size * 1.8);
+      ornament.bezierCurveTo(-size * 1.1, drop + size * 0.7, -size * 1.2, top, 0, top);
+      ornament.fill(color);
+    } else if (style === 'bell') {
+      // Narrow crown flaring to a rim, with a clapper
+      ornament.moveTo(-size * 0.4, top + size * 0.15);
+      ornament.bezierCurveTo(-size * 0.5, drop, -size * 0.7, drop + size * 0.6, -size * 1.05, drop + size * 0.9);
+      ornament.lineTo(size * 1.05, drop + size * 0.9);
+      ornament.bezierCurveTo(size * 0.7, drop + size * 0.6, size * 0.5, drop, size * 0.4, top + size * 0.15);
+      ornament.bezierCurveTo(size * 0.2, top - size * 0.1, -size * 0.2, top - size * 0.1, -size * 0.4, top + size * 0.15);
+      ornament.fill(color);
+      ornament.circle(0, drop + size * 1.05, size * 0.2);
+      ornament.fill(0xD4AF37);
+    } else {
       // Draw ornament ball
-      ornament.circle(0, 0, size);
+      ornament.circle(0, drop, size);
       ornament.fill(color);
+    }
 
-      // Highlight
-      ornament.circle(-size * 0.3, -size * 0.3, size * 0.3);
+    // Highlight
+    if (style !== 'bell') {
+      ornament.circle(-size * 0.3, drop - size * 0.3, size * 0.3);
       ornament.fill({ color: 0xFFFFFF, alpha: 0.4 });
+    }
 
-      // Cap at top
-      ornament.rect(-size * 0.3, -size - 3, size * 0.6, 4);
-      ornament.fill(0xD4AF37); // Gold cap
+    // Cap at top
+    ornament.rect(-size * 0.3, top - 3, size * 0.6, 4);
+    ornament.fill(0xD4AF37); // Gold cap
+  }
 
-      ornament.x = x;
-      ornament.y = y;
+  /**
+   * Give each ornament swing limits either side that keep it from hitting
+   * its neighbours: it may take half the gap to the nearest ball hanging at
+   * a similar height. Balls that already overlap hang in front of or behind
+   * each other, so don't limit each other.
+   */
+  limitSwings() {
+    const limit = (room, length) => clamp(Math.asin(clamp(room / length, 0, 1)), MIN_SWING, MAX_SWING);
+
+    for (const a of this.ornaments) {
+      let left = Infinity;
+      let right = Infinity;
+      for (const b of this.ornaments) {
+        if (a === b) continue;
+        const dy = Math.abs((a.y + a.length) - (b.y + b.length));
+        const gap = Math.abs(a.x - b.x) - a.size - b.size;
+        if (dy > a.size + b.size || gap <= 0) continue;
+        if (b.x > a.x) {
+          right = Math.min(right, gap / 2);
+        } else {
+          left = Math.min(left, gap / 2);
+        }
+      }
+      a.swingLimits = [-limit(left, a.length), limit(right, a.length)];
+    }
+  }
 
-      // Subtle swing animation
-      ornament.swingSpeed = randomRange(0.5, 1.5);
-      ornament.swingOffset = randomRange(0, Math.PI * 2);
-      ornament.swingAmount = randomRange(0.02, 0.05);
+  /**
+   * Wind at an ornament's hook: the weather's gusts sweeping across the
+   * tree, or a gentle breeze without one
+   */
+  windAt(x, elapsed, loop) {
+    if (this.app.weather) return this.app.weather.windAt(x);
+    return loop
+      ? this.noise.getLoop(x * 0.003, 0, elapsed * 0.3, loop * 0.3) * 0.3
+      : this.noise.get3D(x * 0.003, 0, elapsed * 0.3) * 0.3;
+  }
+
+  /**
+   * Damped pendulum driven by the wind, stepped in fixed slices for stability
+   */
+  swingOrnament(ornament, delta, wind) {
+    const force = wind * WIND_FORCE * ornament.drag; // Horizontal, pixels/s²
+    const steps = Math.ceil(delta / PENDULUM_STEP);
+    const step = delta / steps;
+
+    for (let i = 0; i < steps; i++) {
+      const angle = ornament.swing;
+      const accel = (force * Math.cos(angle) - GRAVITY * Math.sin(angle)) / ornament.length;
+      ornament.swingVelocity += (accel - ornament.swingVelocity * PENDULUM_DAMPING) * step;
+      ornament.swing += ornament.swingVelocity * step;
+
+      // Bounce softly off the limit instead of swinging into a neighbour
+      const [min, max] = ornament.swingLimits;
+      if (ornament.swing < min || ornament.swing > max) {
+        ornament.swing = clamp(ornament.swing, min, max);
+        if (ornament.swingVelocity * ornament.swing > 0) ornament.swingVelocity *= -0.3;
+      }
+    }
+  }
+
+  /**
+   * Loop mode: lean with the (periodic) wind and sway, plus any pointer
+   * swing, which dies away so the loop stays seamless
+   */
+  swingOrnamentLooping(ornament, delta, elapsed, loop, wind) {
+    const force = wind * WIND_FORCE * ornament.drag;
+    const sway = Math.sin(elapsed * loopSpeed(ornament.swingSpeed, loop) + ornament.swingOffset);
+    const lean = Math.atan2(force, GRAVITY) + sway * ornament.swingAmount * (1 + Math.abs(wind));
+
+    if (ornament.kickSwing !== 0 || ornament.kickVelocity !== 0) {
+      const accel = -GRAVITY * Math.sin(ornament.kickSwing) / ornament.length;
+      ornament.kickVelocity += (accel - ornament.kickVelocity * PENDULUM_DAMPING) * delta;
+      ornament.kickSwing += ornament.kickVelocity * delta;
+      if (Math.abs(ornament.kickSwing) < 1e-4 && Math.abs(ornament.kickVelocity) < 1e-3) {
+        ornament.kickSwing = 0;
+        ornament.kickVelocity = 0;
+      }
+    }
+
+    ornament.swing = clamp(lean + ornament.kickSwing, ...ornament.swingLimits);
+  }
 
-      this.ornaments.push(ornament);
-      this.ornamentsContainer.addChild(ornament);
+  /**
+   * Swing ornaments near a pointer: brushed along with its motion, or
+   * knocked away from a click
+   * @param {{x: number, y: number}} point - Screen pixels
+   * @param {number} [impulse] - Knock strength (rad/s at the center); omit to brush with the pointer's velocity
+   * @param {number} [delta] - Seconds of brushing
+   */
+  nudgeOrnaments(point, impulse, delta = 0) {
+    const loop = this.app.loopDuration;
+    for (const ornament of this.ornaments) {
+      const ballX = ornament.x + Math.sin(ornament.swing) * ornament.length;
+      const ballY = ornament.y + Math.cos(ornament.swing) * ornament.length;
+      const dx = ballX - point.x;
+      const distance = Math.hypot(dx, ballY - point.y);
+      const radius = ornament.size + ORNAMENT_REACH;
+      if (distance > radius) continue;
+
+      const falloff = 1 - distance / radius;
+      const change = impulse !== undefined
+        ? Math.sign(dx || 1) * impulse * falloff
+        : point.vx * falloff * delta * 6 / ornament.length;
+
+      if (loop) {
+        ornament.kickVelocity += change;
+      } else {
+        ornament.swingVelocity += change;
+      }
     }
   }
 
   createStar() {
     const bounds = this.treeBounds;
-    const starX = bounds.x;
-    const starY = bounds.y - bounds.height - 10;
+    const topper = this.layout?.topper && fromTreeSpace(bounds, this.layout.topper);
+    const starX = topper ? topper.x : bounds.x;
+    const starY = topper ? topper.y : bounds.y - bounds.height - 10;
     const starSize = 25 * this.scale;
 
-    this.starContainer.removeChildren();
+    this.starContainer.removeChildren().forEach(child => child.destroy());
 
-    // Glow layers
-    const glowLayers = [
+    // Glow layers - bloom replaces them when enabled
+    const glowLayers = this.bloomFilter ? [] : [
       { size: starSize * 4, alpha: 0.08 },
       { size: starSize * 3, alpha: 0.12 },
       { size: starSize * 2, alpha: 0.2 },
@@ -346,48 +903,234 @@ export class ChristmasTree {
   }
 
   update(delta, elapsed) {
-    // Twinkle lights with on/off cycling
-    for (const light of this.lights) {
-      light.timer += delta;
+    const loop = this.app.loopDuration;
 
-      if (light.isOn) {
-        // Twinkling while on
-        const twinkle = Math.sin(elapsed * light.twinkleSpeed + light.twinkleOffset);
-        light.alpha = light.baseAlpha * (0.7 + twinkle * 0.3);
+    // Branches, ornaments and garland wire take the day/night lighting; lights and star glow on their own
+    const tint = this.app.timeOfDay?.state.tint ?? 0xFFFFFF;
+    this.treeContainer.tint = tint;
+    this.ornamentsContainer.tint = tint;
+    this.frontWire.tint = tint;
+    this.backWire.tint = tint;
 
-        if (light.timer > light.onDuration) {
-          light.isOn = false;
-          light.timer = 0;
-        }
+    if (!loop && this.accumulation) {
+      this.updateSnowCover(delta);
+    }
+
+    // Random on/off blinks (read by the twinkle pattern), then the pattern
+    this.sequencer.begin(delta, elapsed, loop, this.lights.length);
+    for (const light of this.lights) {
+      if (loop) {
+        this.updateLoopingBlink(light, elapsed, loop);
       } else {
-        // Brief off period
-        light.alpha = 0.1;
-        if (light.timer > light.offDuration) {
-          light.isOn = true;
-          light.timer = 0;
-          light.onDuration = randomRange(2, 8);
-        }
+        this.updateBlinkTimer(light, delta);
       }
+
+      light.alpha = light.baseAlpha * Math.max(UNLIT_ALPHA, this.sequencer.brightness(light));
     }
 
-    // Subtle ornament swing
+    // Ornaments swing on their hooks in the wind, and when brushed by the pointer
+    const pointer = this.app.pointer;
+    if (this.interactive && pointer.inside && pointer.speed > 20) {
+      this.nudgeOrnaments(pointer, undefined, delta);
+    }
     for (const ornament of this.ornaments) {
-      const swing = Math.sin(elapsed * ornament.swingSpeed + ornament.swingOffset);
-      ornament.rotation = swing * ornament.swingAmount;
+      const wind = this.windAt(ornament.x, elapsed, loop);
+      if (loop) {
+        this.swingOrnamentLooping(ornament, delta, elapsed, loop, wind);
+      } else if (delta > 0) {
+        this.swingOrnament(ornament, delta, wind);
+      }
+      ornament.rotation = -ornament.swing; // Positive rotation swings the ball left
     }
 
     // Star pulse and rotation
     if (this.star) {
-      const pulse = 1 + Math.sin(elapsed * 2) * 0.05;
+      const pulse = 1 + Math.sin(elapsed * loopSpeed(2, loop)) * 0.05;
       this.star.scale.set(pulse);
       this.innerStar.scale.set(pulse);
 
-      // Slow rotation
-      this.star.rotation = elapsed * 0.1;
-      this.innerStar.rotation = elapsed * 0.1;
+      // Slow rotation (a 5-point star looks the same every fifth of a turn)
+      const rotation = elapsed * loopSpeed(0.1, loop, Math.PI * 2 / 5);
+      this.star.rotation = rotation;
+      this.innerStar.rotation = rotation;
     }
   }
 
+  /**
+   * Switch the light pattern, crossfading from the current one
+   * @param {string|Function|Array} pattern - Name in lightPatterns, a
+   *   (light, time, context) => brightness function, or a playlist of either
+   * @param {Object} [options] - { transition, duration } seconds (see LightSequencer.set)
+   */
+  setLightPattern(pattern, options) {
+    this.sequencer.set(pattern, options);
+    return this;
+  }
+
+  /**
+   * Current light pattern name (or playlist names)
+   */
+  get lightPattern() {
+    return this.sequencer.pattern;
+  }
+
+  /**
+   * Decorations as a layout document in tree space (see decorations.js),
+   * with everything as currently placed
+   */
+  getLayout() {
+    const bounds = this.treeBounds;
+    return {
+      version: TREE_LAYOUT_VERSION,
+      topper: toTreeSpace(bounds, this.starX, this.starY),
+      ornaments: this.ornaments.map(ornament => ({
+        ...toTreeSpace(bounds, ornament.x, ornament.y + ornament.length),
+        color: ornament.color,
+        size: ornament.size / bounds.height,
+        style: ornament.style,
+        thread: ornament.thread / bounds.height
+      })),
+      lights: this.lights.map(light => ({
+        ...toTreeSpace(bounds, light.x, light.y),
+        color: light.color,
+        size: light.size / bounds.height,
+        style: light.style,
+        depth: light.depth,
+        strand: light.strand
+      }))
+    };
+  }
+
+  /**
+   * Place decorations from a layout document (see decorations.js)
+   * @param {Object|null} layout - null to go back to generated decorations
+   */
+  setLayout(layout) {
+    this.layout = layout ? parseTreeLayout(layout) : null;
+    if (this.app) {
+      this.createOrnaments();
+      this.createLights();
+      this.createStar();
+    }
+    return this;
+  }
+
+  /**
+   * Whether a screen point is on the tree (within margin pixels of its outline)
+   */
+  isOnTree(x, y, margin = 0) {
+    const bounds = this.treeBounds;
+    const level = (bounds.y - y) / bounds.height;
+    if (level < -margin / bounds.height || level > 1) return false;
+    const halfWidth = halfWidthAt(this.shape, clamp(level, 0, 1));
+    return Math.abs(x - bounds.x) <= halfWidth + margin;
+  }
+
+  /**
+   * The decoration under a screen point: the topper, an ornament ball or a
+   * bulb in front of the tree (nearest first)
+   * @returns {{kind: 'topper'|'ornament'|'light', item: Object}|null}
+   */
+  decorationAt(x, y) {
+    let best = null;
+    let bestDistance = Infinity;
+    const consider = (kind, item, cx, cy, radius) => {
+      const distance = Math.hypot(x - cx, y - cy);
+      if (distance <= radius && distance < bestDistance) {
+        best = { kind, item };
+        bestDistance = distance;
+      }
+    };
+
+    consider('topper', this.star, this.starX, this.starY, 25 * this.scale);
+    for (const ornament of this.ornaments) {
+      const ballX = ornament.x + Math.sin(ornament.swing) * ornament.length;
+      const ballY = ornament.y + Math.cos(ornament.swing) * ornament.length;
+      consider('ornament', ornament, ballX, ballY, ornament.size + 4);
+    }
+    for (const light of this.lights) {
+      if (light.depth >= 0) consider('light', light, light.x, light.y, light.size + 6);
+    }
+    return best;
+  }
+
+  /**
+   * Move a decoration (from decorationAt) so it sits at a screen point;
+   * getLayout() picks up the new position
+   */
+  moveDecoration({ kind, item }, x, y) {
+    if (kind === 'topper') {
+      for (const child of this.starContainer.children) {
+        child.x = x;
+        child.y = y;
+      }
+      this.starX = x;
+      this.starY = y;
+    } else if (kind === 'ornament') {
+      item.x = x;
+      item.y = y - item.length;
+    } else {
+      item.x = x;
+      item.y = y;
+    }
+  }
+
+  /**
+   * Free-running blink: random on durations, driven by accumulated time
+   */
+  updateBlinkTimer(light, delta) {
+    light.timer += delta;
+
+    if (light.isOn) {
+      if (light.timer > light.onDuration) {
+        light.isOn = false;
+        light.timer = 0;
+      }
+    } else if (light.timer > light.offDuration) {
+      light.isOn = true;
+      light.timer = 0;
+      light.onDuration = randomRange(2, 8, this.random);
+    }
+  }
+
+  /**
+   * Loop-mode blink: the cycle is snapped to divide the loop evenly
+   */
+  updateLoopingBlink(light, elapsed, loop) {
+    const cycle = loop / Math.max(1, Math.round(loop / light.blinkCycle));
+    const offDuration = Math.min(light.offDuration, cycle * 0.5);
+    const phase = wrap(elapsed / cycle + light.blinkPhase, 0, 1);
+    light.isOn = phase * cycle < cycle - offDuration;
+  }
+
+  /**
+   * Restart the light blink timers, still the ornaments and clear fallen
+   * snow, back to the initial state for this seed
+   */
+  reset() {
+    this.random = createRandom(this.seed);
+    this.snowRandom = createRandom(deriveSeed(this.seed, 'snowfall'));
+    this.createLights();
+    this.sequencer.reset();
+
+    for (const ornament of this.ornaments) {
+      ornament.swing = ornament.swingVelocity = 0;
+      ornament.kickSwing = ornament.kickVelocity = 0;
+    }
+
+    this.snowClumps = this.createSnowClumps();
+    this.snowDirty = false;
+    this.snowRedrawTimer = 0;
+    this.drawSnowCover();
+  }
+
+  /**
+   * Bloom is switched off on lower tiers (see QualityGovernor)
+   */
+  setQuality(tier) {
+    if (this.bloomFilter) this.bloomFilter.enabled = tier.bloom;
+  }
+
   onResize(width, height) {
     this.createTree();
     this.createOrnaments();
@@ -396,6 +1139,9 @@ export class ChristmasTree {
   }
 
   onDestroy() {
+    this.disablePointer?.();
+    this.unsubscribePress?.();
+    this.bloomFilter?.destroy();
     this.container.destroy({ children: true });
   }
 }
@@ -0,0 +1,235 @@
+import { lerp, clamp, smoothstep, wrap, loopSpeed } from '../utils/math.js';
+
+/**
+ * Light patterns: functions of one light and time returning its brightness
+ * (0 = unlit, 1 = full)
+ *
+ * Called as pattern(light, time, context), where light carries:
+ * - index: position along its strand (0 at the plug)
+ * - level: 0 at the bottom of the tree to 1 at the top
+ * - across: -1 (left edge) to 1 (right edge) at that height
+ * - depth: -1 (round the back of the tree) to 1 (facing the viewer)
+ * - colorIndex: which bulb color it is, seed: stable random 0-1
+ * - isOn, twinkleSpeed, twinkleOffset: the scene's random blink and
+ *   shimmer (used by "twinkle")
+ * and context carries:
+ * - count: number of lights, loop: app.loopDuration
+ * - phase(seconds): 0-1 through a cycle of about that length
+ * - speed(radians): angular speed for Math.sin
+ * phase() and speed() snap to the loop, so patterns built on them repeat
+ * seamlessly in loop mode.
+ */
+export const lightPatterns = {
+  // Gentle sine shimmer with random brief blinks off
+  twinkle: (light, time, { speed }) => {
+    if (!light.isOn) return 0;
+    return 0.7 + Math.sin(time * speed(light.twinkleSpeed) + light.twinkleOffset) * 0.3;
+  },
+
+  steady: () => 1,
+
+  // Every third bulb lit, stepping along the string
+  chase: (light, time, { phase }) => {
+    const step = Math.floor(phase(1.5) * 12);
+    return (light.index - step + 12) % 3 === 0 ? 1 : 0;
+  },
+
+  // A band of light climbing from the bottom to the top
+  wave: (light, time, { phase }) => {
+    const distance = wrap(light.level - phase(3), -0.5, 0.5);
+    return Math.exp(-(distance * distance) * 40);
+  },
+
+  // All lights slowly dimming and brightening together
+  fade: (light, time, { phase }) => 0.5 - Math.cos(phase(6) * Math.PI * 2) * 0.5,
+
+  // Odd and even bulb colors taking turns
+  alternate: (light, time, { phase }) => {
+    const step = Math.floor(phase(2) * 2);
+    return (light.colorIndex + step) % 2 === 0 ? 1 : 0.15;
+  },
+
+  // Dim glow with random bright flashes that fade quickly
+  sparkle: (light, time, { phase }) => {
+    const slots = phase(8) * 40 + light.seed * 40;
+    const slot = Math.floor(slots) % 40;
+    if (hash(light.index, slot) > 0.08) return 0.35;
+    const fade = 1 - (slots - Math.floor(slots));
+    return 0.35 + fade * fade * 0.65;
+  }
+};
+
+/**
+ * Stable pseudo-random 0-1 for a pair of integers
+ */
+function hash(a, b) {
+  const value = Math.sin(a * 12.9898 + b * 78.233) * 43758.5453;
+  return value - Math.floor(value);
+}
+
+/**
+ * Make a pattern available by name (e.g. for composition files)
+ * @param {string} name
+ * @param {Function} pattern - (light, time, context) => brightness, see lightPatterns
+ */
+export function registerLightPattern(name, pattern) {
+  if (typeof pattern !== 'function') {
+    throw new TypeError(`Light pattern "${name}" must be a function`);
+  }
+  lightPatterns[name] = pattern;
+}
+
+function resolvePattern(pattern) {
+  if (typeof pattern === 'function') {
+    return { name: pattern.name || 'custom', sample: pattern };
+  }
+  const sample = lightPatterns[pattern];
+  if (!sample) {
+    throw new Error(`Unknown light pattern "${pattern}" (expected one of: ${Object.keys(lightPatterns).join(', ')})`);
+  }
+  return { name: pattern, sample };
+}
+
+/**
+ * Drives a string of lights through patterns, crossfading between them
+ *
+ * A pattern is a name from lightPatterns, a function, or an array of either
+ * to play in turn (a playlist, like the mode button on a real string). The
+ * playlist is a pure function of time, with its step length snapped so it
+ * repeats seamlessly in loop mode; switching with set() fades over real
+ * time instead.
+ *
+ * Each frame: begin(delta, elapsed, loop, count), then brightness(light)
+ * for every light.
+ */
+export class LightSequencer {
+  /**
+   * @param {Object} [options]
+   * @param {string|Function|Array} [options.pattern='twinkle'] - Pattern or playlist
+   * @param {number} [options.duration=10] - Seconds per playlist step
+   * @param {number} [options.transition=1] - Crossfade seconds
+   */
+  constructor(options = {}) {
+    this.duration = options.duration || 10;
+    this.transition = options.transition ?? 1;
+    this.playlist = this.resolve(options.pattern || 'twinkle');
+    this.previous = null; // Playlist being faded out by set()
+    this.fade = 1;
+    this.fadeDuration = 0;
+
+    this.time = 0;
+    this.context = {
+      count: 0,
+      loop: null,
+      phase: (seconds) => wrap(this.time * loopSpeed(1 / seconds, this.context.loop, 1), 0, 1),
+      speed: (radians) => loopSpeed(radians, this.context.loop)
+    };
+    this.current = null; // This frame's playlist positions
+    this.fading = null;
+  }
+
+  resolve(pattern) {
+    const list = Array.isArray(pattern) ? pattern : [pattern];
+    if (!list.length) throw new Error('Light pattern playlist is empty');
+    return list.map(resolvePattern);
+  }
+
+  /**
+   * Name of the pattern playing now (or the names of the playlist)
+   * @returns {string|string[]}
+   */
+  get pattern() {
+    const names = this.playlist.map(entry => entry.name);
+    return names.length === 1 ? names[0] : names;
+  }
+
+  /**
+   * Switch pattern, crossfading from whatever is showing
+   * @param {string|Function|Array} pattern - Pattern or playlist
+   * @param {Object} [options]
+   * @param {number} [options.transition] - Crossfade seconds (0 to cut)
+   * @param {number} [options.duration] - Seconds per playlist step
+   */
+  set(pattern, { transition = this.transition, duration = this.duration } = {}) {
+    const playlist = this.resolve(pattern);
+    this.previous = transition > 0 ? this.playlist : null;
+    this.playlist = playlist;
+    this.duration = duration;
+    this.fade = transition > 0 ? 0 : 1;
+    this.fadeDuration = transition;
+    return this;
+  }
+
+  /**
+   * Finish any crossfade (the pattern itself is kept)
+   */
+  reset() {
+    this.previous = null;
+    this.fade = 1;
+  }
+
+  /**
+   * Where a playlist is at this frame: the step playing and the one fading out
+   */
+  position(playlist) {
+    const count = playlist.length;
+    if (count === 1) return { entry: playlist[0], from: null, blend: 1 };
+
+    // Whole playlist cycles per loop, so the last step fades into the first
+    const loop = this.context.loop;
+    const step = loop
+      ? loop / (count * Math.max(1, Math.round(loop / (count * this.duration))))
+      : this.duration;
+    const slot = Math.floor(this.time / step);
+    const into = this.time - slot * step;
+    const blend = (!loop && slot === 0) || this.transition <= 0
+      ? 1
+      : clamp(into / Math.min(this.transition, step), 0, 1);
+
+    return {
+      entry: playlist[slot % count],
+      from: playlist[(slot + count - 1) % count],
+      blend: smoothstep(0, 1, blend)
+    };
+  }
+
+  /**
+   * Advance to this frame
+   * @param {number} delta - Seconds since last frame
+   * @param {number} elapsed - Scene time
+   * @param {number|null} loop - app.loopDuration
+   * @param {number} count - Number of lights
+   */
+  begin(delta, elapsed, loop, count) {
+    this.time = elapsed;
+    this.context.loop = loop;
+    this.context.count = count;
+
+    if (this.previous) {
+      this.fade += this.fadeDuration > 0 ? delta / this.fadeDuration : 1;
+      if (this.fade >= 1) {
+        this.previous = null;
+        this.fade = 1;
+      }
+    }
+
+    this.current = this.position(this.playlist);
+    this.fading = this.previous ? this.position(this.previous) : null;
+  }
+
+  sample({ entry, from, blend }, light) {
+    const value = entry.sample(light, this.time, this.context);
+    if (blend >= 1) return value;
+    return lerp(from.sample(light, this.time, this.context), value, blend);
+  }
+
+  /**
+   * Brightness of one light this frame
+   * @returns {number} 0-1
+   */
+  brightness(light) {
+    const value = this.sample(this.current, light);
+    if (!this.fading) return value;
+    return lerp(this.sample(this.fading, light), value, smoothstep(0, 1, this.fade));
+  }
+}
@@ -1,16 +1,32 @@
-import { Graphics, Container } from 'pixi.js';
+import { Particle, ParticleContainer, Rectangle } from 'pixi.js';
 import { ObjectPool } from '../utils/pool.js';
+import { getParticleAtlas, SPARKLE_RADIUS } from '../utils/particleTextures.js';
 import { Noise } from '../utils/noise.js';
 import { christmasColors, lerpColor } from '../utils/color.js';
-import { randomRange, randomPick, lerp } from '../utils/math.js';
+import { randomRange, randomPick, lerp, wrap, loopSpeed } from '../utils/math.js';
+import { createRandom, deriveSeed, randomSeed } from '../utils/random.js';
 
 /**
  * Magical floating sparkles that drift lazily and twinkle
  * Creates a dreamy, enchanted atmosphere
+ *
+ * With `interactive: true`, sparkles near a moving pointer are drawn into
+ * its wake, and a click or tap throws out a burst of short-lived sparkles.
  */
 export class MagicSparkles {
+  /**
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - See registerSceneType
+   */
   constructor(options = {}) {
     this.particleCount = options.particleCount || 50;
+    this.layer = options.layer || 'effects';
+    this.interactive = options.interactive || false; // Follow the pointer and burst on clicks (see Pointer)
+    this.attractRadius = options.attractRadius || 220; // Pixels around the pointer that sparkles are drawn from
+    this.burstCount = options.burstCount ?? 14; // Sparkles per click
+
+    this.seed = options.seed ?? randomSeed();
+    this.random = createRandom(this.seed);
     this.colors = options.colors || [
       christmasColors.starGold,
       christmasColors.starWhite,
@@ -19,11 +35,17 @@ export class MagicSparkles {
       0xE6E6FA, // Lavender
     ];
 
-    this.container = new Container();
-    this.noise = new Noise();
+    this.container = new ParticleContainer({
+      texture: getParticleAtlas().textures.sparkle,
+      dynamicProperties: { position: true, rotation: true, vertex: true, color: true }
+    });
+    this.noise = new Noise(deriveSeed(this.seed, 'noise'));
     this.particles = [];
+    this.bursts = []; // Short-lived sparkles thrown out by clicks
+    this.burstRandom = createRandom(deriveSeed(this.seed, 'bursts')); // Kept apart so clicks don't change the layout
     this.pool = null;
     this.app = null;
+    this.stateful = true; // Positions and ages depend on past frames (see App.seek)
   }
 
   onAdd(app) {
@@ -34,32 +56,42 @@ export class MagicSparkles {
       this.particleCount
     );
 
+    this.updateBounds();
+
     // Spawn particles
-    for (let i = 0; i < this.particleCount; i++) {
-      this.spawnParticle();
+    this.reset();
+
+    if (this.interactive) {
+      this.disablePointer = app.pointer.enable();
+      this.unsubscribePress = app.pointer.onPress(point => this.burst(point.x, point.y));
     }
 
-    // Add to effects layer (in front of scene)
-    app.layers.effects.addChild(this.container);
+    // Add to effects layer by default (in front of scene)
+    app.layers[this.layer].addChild(this.container);
   }
 
   createSparkle() {
-    const g = new Graphics();
+    // 4-pointed star from the shared atlas
+    return new Particle({
+      texture: getParticleAtlas().textures.sparkle,
+      anchorX: 0.5,
+      anchorY: 0.5
+    });
+  }
 
-    // Draw a 4-pointed star shape
-    const size = 1;
-    g.moveTo(0, -size);
-    g.lineTo(size * 0.3, -size * 0.3);
-    g.lineTo(size, 0);
-    g.lineTo(size * 0.3, size * 0.3);
-    g.lineTo(0, size);
-    g.lineTo(-size * 0.3, size * 0.3);
-    g.lineTo(-size, 0);
-    g.lineTo(-size * 0.3, -size * 0.3);
-    g.closePath();
-    g.fill(0xFFFFFF);
+  /**
+   * @param {number} size - Radius in pixels
+   */
+  setSize(p, size) {
+    p.scaleX = p.scaleY = size / SPARKLE_RADIUS;
+  }
 
-    return g;
+  /**
+   * Bounds of the sparkle area (ParticleContainers don't measure their children)
+   */
+  updateBounds() {
+    const { width, height } = this.app;
+    this.container.boundsArea = new Rectangle(-40, -40, width + 80, height + 80);
   }
 
   spawnParticle() {
@@ -67,51 +99,69 @@ export class MagicSparkles {
 
     const particle = this.pool.acquire((p) => {
       // Random position across screen, weighted toward upper portions
-      p.x = randomRange(0, width);
-      p.y = randomRange(0, height * 0.8);
+      p.x = randomRange(0, width, this.random);
+      p.y = randomRange(0, height * 0.8, this.random);
 
       // Random size
-      const size = randomRange(2, 6);
-      p.scale.set(size);
+      const size = randomRange(2, 6, this.random);
+      this.setSize(p, size);
       p.baseScale = size;
 
       // Random color from palette
-      p.tint = randomPick(this.colors);
+      p.tint = randomPick(this.colors, null, this.random);
 
       // Very slow drift velocity
-      p.vx = randomRange(-5, 5);
-      p.vy = randomRange(-3, 3);
+      p.vx = randomRange(-5, 5, this.random);
+      p.vy = randomRange(-3, 3, this.random);
 
       // Twinkle properties
-      p.twinkleSpeed = randomRange(2, 5);
-      p.twinkleOffset = randomRange(0, Math.PI * 2);
+      p.twinkleSpeed = randomRange(2, 5, this.random);
+      p.twinkleOffset = randomRange(0, Math.PI * 2, this.random);
 
       // Pulse scale
-      p.pulseSpeed = randomRange(1, 3);
-      p.pulseOffset = randomRange(0, Math.PI * 2);
+      p.pulseSpeed = randomRange(1, 3, this.random);
+      p.pulseOffset = randomRange(0, Math.PI * 2, this.random);
 
       // Lifespan (some sparkles fade in/out)
-      p.lifetime = randomRange(5, 15);
-      p.age = randomRange(0, p.lifetime); // Start at random age
+      p.lifetime = randomRange(5, 15, this.random);
+      p.age = randomRange(0, p.lifetime, this.random); // Start at random age
 
       // Noise offset for organic motion
-      p.noiseOffset = randomRange(0, 10000);
+      p.noiseOffset = randomRange(0, 10000, this.random);
 
       // Rotation
-      p.rotationSpeed = randomRange(-1, 1);
+      p.rotationSpeed = randomRange(-1, 1, this.random);
+      p.rotation = 0;
 
       p.alpha = 0.8;
-      p.visible = true;
+      p.loopSpots = null;
+
+      // Pull toward the pointer's wake: velocity, and in loop mode the offset it builds up
+      p.wakeVX = 0;
+      p.wakeVY = 0;
+      p.wakeX = 0;
+      p.wakeY = 0;
     });
 
     this.particles.push(particle);
-    this.container.addChild(particle);
+    this.container.addParticle(particle);
     return particle;
   }
 
   update(delta, elapsed) {
     const { width, height } = this.app;
 
+    this.updateBursts(delta);
+
+    if (this.app.loopDuration) {
+      this.updateLooping(elapsed, this.app.loopDuration, delta);
+      return;
+    }
+
+    const wake = this.wakeTarget;
+
+    const wind = this.app.weather?.wind.x ?? 0;
+
     for (let i = this.particles.length - 1; i >= 0; i--) {
       const p = this.particles[i];
 
@@ -132,7 +182,7 @@ export class MagicSparkles {
 
       // Pulse scale
       const pulse = Math.sin(elapsed * p.pulseSpeed + p.pulseOffset);
-      p.scale.set(p.baseScale * (0.8 + pulse * 0.3));
+      this.setSize(p, p.baseScale * (0.8 + pulse * 0.3));
 
       // Get noise-based drift
       const flow = this.noise.flowField(
@@ -143,18 +193,22 @@ export class MagicSparkles {
         0.1
       );
 
-      // Apply very gentle movement
-      p.x += (p.vx + flow.x * 15) * delta;
+      // Apply very gentle movement, nudged by the weather's wind
+      p.x += (p.vx + flow.x * 15 + wind * 12) * delta;
       p.y += (p.vy + flow.y * 10) * delta;
 
+      if (this.followWake(p, delta, wake)) {
+        p.x += p.wakeVX * delta;
+        p.y += p.wakeVY * delta;
+      }
+
       // Slow rotation
       p.rotation += p.rotationSpeed * delta;
 
       // Respawn if off screen or lifetime exceeded
       if (p.age > p.lifetime || p.x < -20 || p.x > width + 20 || p.y < -20 || p.y > height + 20) {
         this.particles.splice(i, 1);
-        this.container.removeChild(p);
-        p.visible = false;
+        this.container.removeParticle(p);
         this.pool.release(p);
 
         // Spawn replacement
@@ -163,12 +217,213 @@ export class MagicSparkles {
     }
   }
 
+  /**
+   * Loop mode: each sparkle lives a whole number of lives per loop, and
+   * life N always reappears at the same spot, so the loop repeats exactly.
+   * Lives fade in and out, which hides the jump between spots.
+   */
+  updateLooping(elapsed, loop, delta) {
+    // Periodic in loop mode, so it can be a displacement like the flow
+    const wind = this.app.weather?.wind.x ?? 0;
+    const wake = this.wakeTarget;
+
+    for (let i = 0; i < this.particles.length; i++) {
+      const p = this.particles[i];
+      if (!p.loopSpots) this.setupLoop(p, i, loop, elapsed);
+
+      const lifetime = loop / p.loopSpots.length;
+      const t = wrap(elapsed + p.loopAgeOffset, 0, loop);
+      const life = Math.min(Math.floor(t / lifetime), p.loopSpots.length - 1);
+      const age = t - life * lifetime;
+      const spot = p.loopSpots[life];
+
+      let lifeFade = 1;
+      if (age < 1) {
+        lifeFade = age;
+      } else if (age > lifetime - 1) {
+        lifeFade = lifetime - age;
+      }
+
+      const twinkle = Math.sin(elapsed * loopSpeed(p.twinkleSpeed, loop) + p.twinkleOffset);
+      p.alpha = (0.4 + twinkle * 0.4) * Math.max(0, lifeFade);
+
+      const pulse = Math.sin(elapsed * loopSpeed(p.pulseSpeed, loop) + p.pulseOffset);
+      this.setSize(p, p.baseScale * (0.8 + pulse * 0.3));
+
+      // Drift as a displacement from the spawn spot rather than integrated velocity
+      const flow = this.noise.flowField(spot.x + p.noiseOffset, spot.y, elapsed * 0.5, 0.005, 0.1, loop * 0.5);
+      p.x = spot.x + p.vx * age + flow.x * 40 + wind * 20;
+      p.y = spot.y + p.vy * age + flow.y * 25;
+
+      // The wake pull is an offset that eases back to zero, so the loop stays seamless
+      if (this.followWake(p, delta, wake) || p.wakeX || p.wakeY) {
+        const settle = Math.exp(-delta);
+        p.wakeX = (p.wakeX + p.wakeVX * delta) * settle;
+        p.wakeY = (p.wakeY + p.wakeVY * delta) * settle;
+        if (Math.abs(p.wakeX) + Math.abs(p.wakeY) < 0.05) {
+          p.wakeX = 0;
+          p.wakeY = 0;
+        }
+        p.x += p.wakeX;
+        p.y += p.wakeY;
+      }
+
+      // 4-pointed sparkle repeats every quarter turn
+      p.rotation = elapsed * loopSpeed(p.rotationSpeed, loop, Math.PI / 2);
+    }
+  }
+
+  /**
+   * Where sparkles are drawn to: a point a moment behind a moving pointer,
+   * so they stream along after it (null when there's nothing to follow)
+   */
+  get wakeTarget() {
+    const pointer = this.app.pointer;
+    if (!this.interactive || !pointer.inside || pointer.speed < 20) return null;
+
+    const { x, y } = pointer.trailAt(0.25);
+    return { x, y, pointer };
+  }
+
+  /**
+   * Draw a sparkle near the pointer toward its wake; the pull fades out over
+   * a couple of seconds once the pointer stops
+   * @returns {boolean} Whether the sparkle is moving from the pull
+   */
+  followWake(p, delta, wake) {
+    if (wake) {
+      const { pointer } = wake;
+      const dx = p.x - pointer.x;
+      const dy = p.y - pointer.y;
+      const distanceSq = dx * dx + dy * dy;
+      const radius = this.attractRadius;
+
+      if (distanceSq < radius * radius) {
+        const falloff = 1 - Math.sqrt(distanceSq) / radius;
+        const pull = falloff * 4 * delta;
+        p.wakeVX += (wake.x - p.x) * pull;
+        p.wakeVY += (wake.y - p.y) * pull;
+      }
+    }
+
+    if (p.wakeVX === 0 && p.wakeVY === 0) return false;
+
+    const damping = Math.exp(-1.5 * delta);
+    p.wakeVX *= damping;
+    p.wakeVY *= damping;
+    if (Math.abs(p.wakeVX) + Math.abs(p.wakeVY) < 0.5) {
+      p.wakeVX = 0;
+      p.wakeVY = 0;
+    }
+    return true;
+  }
+
+  /**
+   * Throw out a ring of short-lived sparkles
+   * @param {number} x - Screen x in pixels
+   * @param {number} y - Screen y in pixels
+   */
+  burst(x, y) {
+    const random = this.burstRandom;
+
+    for (let i = 0; i < this.burstCount; i++) {
+      const particle = this.pool.acquire((p) => {
+        const angle = (i / this.burstCount) * Math.PI * 2 + randomRange(-0.2, 0.2, random);
+        const speed = randomRange(60, 160, random);
+
+        p.x = x;
+        p.y = y;
+        p.vx = Math.cos(angle) * speed;
+        p.vy = Math.sin(angle) * speed;
+        p.baseScale = randomRange(3, 6, random);
+        p.tint = randomPick(this.colors, null, random);
+        p.rotation = 0;
+        p.rotationSpeed = randomRange(-4, 4, random);
+        p.lifetime = randomRange(0.6, 1.2, random);
+        p.age = 0;
+      });
+
+      this.bursts.push(particle);
+      this.container.addParticle(particle);
+    }
+  }
+
+  /**
+   * Burst sparkles fly out, slow down, sink a little and fade
+   */
+  updateBursts(delta) {
+    for (let i = this.bursts.length - 1; i >= 0; i--) {
+      const p = this.bursts[i];
+      p.age += delta;
+
+      if (p.age >= p.lifetime) {
+        this.bursts.splice(i, 1);
+        this.container.removeParticle(p);
+        this.pool.release(p);
+        continue;
+      }
+
+      const drag = Math.exp(-3 * delta);
+      p.vx *= drag;
+      p.vy = p.vy * drag + 40 * delta;
+      p.x += p.vx * delta;
+      p.y += p.vy * delta;
+      p.rotation += p.rotationSpeed * delta;
+
+      const life = 1 - p.age / p.lifetime;
+      p.alpha = life;
+      this.setSize(p, p.baseScale * (0.4 + 0.6 * life));
+    }
+  }
+
+  /**
+   * Pick the spots for each of a sparkle's lives within the loop
+   */
+  setupLoop(p, index, loop, elapsed) {
+    const { width, height } = this.app;
+    const random = createRandom(deriveSeed(this.seed, `loop:${index}`));
+    const lives = Math.max(1, Math.round(loop / p.lifetime));
+
+    p.loopSpots = [{ x: p.x, y: p.y }];
+    for (let i = 1; i < lives; i++) {
+      p.loopSpots.push({ x: randomRange(0, width, random), y: randomRange(0, height * 0.8, random) });
+    }
+    p.loopAgeOffset = p.age - elapsed;
+  }
+
+  onLoopChange() {
+    for (const p of this.particles) {
+      p.loopSpots = null;
+    }
+  }
+
+  /**
+   * Return to the initial state for this seed
+   */
+  reset() {
+    this.container.removeParticles();
+    this.pool.releaseAll();
+    this.particles = [];
+    this.bursts = [];
+
+    this.random = createRandom(this.seed);
+
+    for (let i = 0; i < this.particleCount; i++) {
+      this.spawnParticle();
+    }
+  }
+
   onResize(width, height) {
     // Particles will naturally adjust
+    this.updateBounds();
   }
 
   onDestroy() {
-    this.pool.dispose((p) => p.destroy());
-    this.container.destroy({ children: true });
+    this.disablePointer?.();
+    this.unsubscribePress?.();
+
+    // Particles are plain objects; the atlas texture is shared, so keep it
+    this.pool.dispose();
+    this.container.destroy();
   }
 }
@@ -1,15 +1,29 @@
 import { Graphics, Container } from 'pixi.js';
 import { christmasColors, lerpColor } from '../utils/color.js';
-import { randomRange, lerp } from '../utils/math.js';
+import { randomRange, lerp, loopSpeed } from '../utils/math.js';
+import { createRandom, deriveSeed, randomSeed } from '../utils/random.js';
+import { BloomFilter } from '../effects/filters/BloomFilter.js';
 
 /**
  * Night sky background with gradient, twinkling stars, and glowing moon
  */
 export class NightSky {
+  /**
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - See registerSceneType
+   */
   constructor(options = {}) {
     this.starCount = options.starCount || 150;
-    this.moonPosition = options.moonPosition || { x: 0.8, y: 0.15 }; // Normalized position
+    this.moonPosition = options.moonPosition || { x: 0.8, y: 0.15 }; // Normalized position (a running day/night cycle moves it)
     this.moonSize = options.moonSize || 40;
+    this.layer = options.layer || 'background';
+
+    // Real bloom on the moon instead of stacked glow circles (true or BloomFilter options)
+    this.bloomFilter = options.bloom
+      ? new BloomFilter({ threshold: 0, strength: this.moonSize, intensity: 1.2, ...options.bloom })
+      : null;
+
+    this.seed = options.seed ?? randomSeed();
 
     this.container = new Container();
     this.background = new Graphics();
@@ -17,6 +31,7 @@ export class NightSky {
     this.moonContainer = new Container();
 
     this.stars = [];
+    this.skyColors = null; // Gradient currently drawn (top, mid, bottom)
     this.app = null;
   }
 
@@ -32,18 +47,32 @@ export class NightSky {
     // Create moon with glow
     this.createMoon();
 
-    // Add to background layer
-    app.layers.background.addChild(this.container);
+    // Add to background layer by default
+    app.layers[this.layer].addChild(this.container);
     this.container.addChild(this.background);
     this.container.addChild(this.starsContainer);
     this.container.addChild(this.moonContainer);
+
+    if (this.bloomFilter) {
+      this.moonContainer.filters = [this.bloomFilter];
+    }
+  }
+
+  /**
+   * Sky gradient colors: the time of day's when there is a cycle, else midnight
+   */
+  getSkyColors() {
+    return this.app.timeOfDay?.state.sky
+      || [christmasColors.skyTop, christmasColors.skyMid, christmasColors.skyBottom];
   }
 
   drawBackground() {
     const { width, height } = this.app;
     const steps = 60;
+    const [top, mid, bottom] = this.getSkyColors();
 
     this.background.clear();
+    this.skyColors = [top, mid, bottom];
 
     // Three-color gradient: top -> mid -> bottom
     for (let i = 0; i < steps; i++) {
@@ -54,10 +83,10 @@ export class NightSky {
       let color;
       if (t < 0.5) {
         // Top to mid
-        color = lerpColor(christmasColors.skyTop, christmasColors.skyMid, t * 2);
+        color = lerpColor(top, mid, t * 2);
       } else {
         // Mid to bottom
-        color = lerpColor(christmasColors.skyMid, christmasColors.skyBottom, (t - 0.5) * 2);
+        color = lerpColor(mid, bottom, (t - 0.5) * 2);
       }
 
       this.background.rect(0, y, width, h);
@@ -68,13 +97,16 @@ export class NightSky {
   createStars() {
     const { width, height } = this.app;
 
+    // Own stream so the star field is identical after a resize
+    const random = createRandom(deriveSeed(this.seed, 'stars'));
+
     for (let i = 0; i < this.starCount; i++) {
       const star = new Graphics();
 
       // Randomize star properties
-      const size = randomRange(0.5, 2.5);
-      const x = randomRange(0, width);
-      const y = randomRange(0, height * 0.7); // Stars in upper 70% of sky
+      const size = randomRange(0.5, 2.5, random);
+      const x = randomRange(0, width, random);
+      const y = randomRange(0, height * 0.7, random); // Stars in upper 70% of sky
 
       // Draw star
       star.circle(0, 0, size);
@@ -82,13 +114,13 @@ export class NightSky {
 
       star.x = x;
       star.y = y;
-      star.alpha = randomRange(0.3, 0.9);
+      star.alpha = randomRange(0.3, 0.9, random);
 
       // Animation properties
       star.baseAlpha = star.alpha;
-      star.twinkleSpeed = randomRange(0.5, 3);
-      star.twinkleOffset = randomRange(0, Math.PI * 2);
-      star.twinkleAmount = randomRange(0.2, 0.6);
+      star.twinkleSpeed = randomRange(0.5, 3, random);
+      star.twinkleOffset = randomRange(0, Math.PI * 2, random);
+      star.twinkleAmount = randomRange(0.2, 0.6, random);
 
       this.stars.push(star);
       this.starsContainer.addChild(star);
@@ -97,11 +129,9 @@ export class NightSky {
 
   createMoon() {
     const { width, height } = this.app;
-    const moonX = width * this.moonPosition.x;
-    const moonY = height * this.moonPosition.y;
 
-    // Outer glow layers (back to front)
-    const glowLayers = [
+    // Outer glow layers (back to front) - bloom replaces them when enabled
+    const glowLayers = this.bloomFilter ? [] : [
       { size: this.moonSize * 4, alpha: 0.03 },
       { size: this.moonSize * 3, alpha: 0.05 },
       { size: this.moonSize * 2.2, alpha: 0.08 },
@@ -113,8 +143,6 @@ export class NightSky {
       const glow = new Graphics();
       glow.circle(0, 0, size);
       glow.fill(christmasColors.moonGlow);
-      glow.x = moonX;
-      glow.y = moonY;
       glow.alpha = alpha;
       this.moonContainer.addChild(glow);
     });
@@ -123,31 +151,66 @@ export class NightSky {
     const moon = new Graphics();
     moon.circle(0, 0, this.moonSize);
     moon.fill(christmasColors.moonCore);
-    moon.x = moonX;
-    moon.y = moonY;
     moon.alpha = 0.95;
     this.moonContainer.addChild(moon);
 
+    // The container carries the position so the day/night cycle can move it
+    this.moonContainer.x = width * this.moonPosition.x;
+    this.moonContainer.y = height * this.moonPosition.y;
+
     // Store for animation
     this.moon = moon;
-    this.moonX = moonX;
-    this.moonY = moonY;
+  }
+
+  /**
+   * Follow the day/night cycle: sky colors, star visibility and the moon's arc
+   */
+  updateTimeOfDay(state) {
+    const { width, height } = this.app;
+
+    // Redraw the gradient only when its colors actually changed
+    if (state.sky.some((color, i) => color !== this.skyColors[i])) {
+      this.drawBackground();
+    }
+
+    this.starsContainer.alpha = state.stars;
+    this.starsContainer.visible = state.stars > 0;
+
+    // At a fixed hour the moon stays where it was placed; a running cycle moves it along its arc
+    const moon = this.app.timeOfDay.isRunning ? state.moon : this.moonPosition;
+    this.moonContainer.x = width * moon.x;
+    this.moonContainer.y = height * moon.y;
+    this.moonContainer.alpha = state.moon.alpha;
+    this.moonContainer.visible = state.moon.alpha > 0;
   }
 
   update(delta, elapsed) {
-    // Twinkle stars
+    const loop = this.app.loopDuration;
+
+    if (this.app.timeOfDay) {
+      this.updateTimeOfDay(this.app.timeOfDay.state);
+    }
+
+    // Twinkle stars (speeds snapped to whole cycles when looping)
     for (const star of this.stars) {
-      const twinkle = Math.sin(elapsed * star.twinkleSpeed + star.twinkleOffset);
+      const twinkle = Math.sin(elapsed * loopSpeed(star.twinkleSpeed, loop) + star.twinkleOffset);
       star.alpha = star.baseAlpha + twinkle * star.twinkleAmount * star.baseAlpha;
     }
 
     // Subtle moon pulse
     if (this.moon) {
-      const pulse = Math.sin(elapsed * 0.5) * 0.02 + 1;
+      const pulse = Math.sin(elapsed * loopSpeed(0.5, loop)) * 0.02 + 1;
       this.moon.scale.set(pulse);
     }
   }
 
+  /**
+   * Bloom is switched off on lower tiers (see QualityGovernor)
+   */
+  setQuality(tier) {
+    if (this.bloomFilter) this.bloomFilter.enabled = tier.bloom;
+  }
+
   onResize(width, height) {
     this.drawBackground();
 
@@ -162,6 +225,7 @@ export class NightSky {
   }
 
   onDestroy() {
+    this.bloomFilter?.destroy();
     this.container.destroy({ children: true });
   }
 }
@@ -1,35 +1,91 @@
 import { Graphics, Container } from 'pixi.js';
 import { Noise } from '../utils/noise.js';
 import { christmasColors, lerpColor } from '../utils/color.js';
-import { lerp, randomRange } from '../utils/math.js';
+import { lerp, clamp, randomRange, randomInt } from '../utils/math.js';
+import { createRandom, deriveSeed, randomSeed } from '../utils/random.js';
+import { drawSilhouette } from './treeGenerator.js';
+import { windowPanes, drawLamplight, lampFlicker } from './Cabin.js';
+
+const RESOLUTION = 100; // Profile points per hill layer (and drift columns)
+const SETTLE_REDRAW = 0.5; // Pixels drifts may settle by before they're redrawn
+const FOREST_SHADE = 0x1B3A30; // Pine green the forest silhouettes start from
+const DISTANCE_SHADE = 0x0A1020; // What the farthest forest fades towards
 
 /**
  * Rolling snowy hills with multiple layers for depth
+ *
+ * Falling snow (see SnowSystem) lands on the hill matching the flake's depth
+ * and builds up drifts that slowly settle. Drifts are frozen in loop mode so
+ * the loop stays seamless.
+ *
+ * Other scenes can query the terrain (heightAt, normalAt) through
+ * app.terrain, and props can be anchored to a hill so they follow it across
+ * resizes. Props standing on a back hill can be mounted among the hills
+ * (mount) so the nearer hills hide their feet.
+ *
+ * With the forest option, rows of pine silhouettes stand along the ridges
+ * of the back hills, smaller and darker the farther back they are, with an
+ * occasional cabin whose windows glow at night.
  */
 export class SnowGround {
+  /**
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - See registerSceneType
+   */
   constructor(options = {}) {
     this.layerCount = options.layerCount || 4;
     this.baseHeight = options.baseHeight || 0.25; // Bottom 25% of screen
+    this.layer = options.layer || 'scene';
+    this.accumulation = options.accumulation ?? 1; // Drift growth per landed flake (0 = snow never settles)
+    this.maxDrift = options.maxDrift || 30; // Deepest a drift gets, in pixels
+    this.settleRate = options.settleRate ?? 0.01; // Share of a drift that compacts away per second
+
+    // Pine silhouettes on the back hills: true or { layers, trees, height, windows }
+    this.forest = options.forest
+      ? {
+        layers: null, // Hill layers with trees (default: all but the front one)
+        trees: 60, // Trees per layer across the screen (farther layers get more, smaller ones)
+        height: 0.06, // Tallest trees on the nearest forest layer, as a fraction of the screen height
+        windows: 0, // Cabins with lit windows per layer
+        ...(options.forest === true ? {} : options.forest)
+      }
+      : null;
+
+    this.seed = options.seed ?? randomSeed();
 
     this.container = new Container();
-    this.noise = new Noise();
+    this.noise = new Noise(deriveSeed(this.seed, 'noise'));
     this.layers = [];
+    this.drifts = []; // Snow depth per layer, per profile point
+    this.forests = []; // Trees and cabins per layer, in normalized x so they survive a resize
+    this.windows = []; // Containers of lit windows, kept out of the day/night tint
+    this.anchors = new Map(); // Display object -> anchor options
+    this.mounts = new Map(); // Display object -> hill layer it stands in front of
+    this.driftsDirty = false;
+    this.settled = 0; // Most any drift has changed by settling since the last draw
+    this.redrawTimer = 0;
     this.app = null;
+    this.stateful = true; // Drifts depend on past snowfall (see App.seek)
   }
 
   onAdd(app) {
     this.app = app;
     this.createLayers();
 
-    // Add to scene layer
-    app.layers.scene.addChild(this.container);
+    // Add to scene layer by default
+    app.layers[this.layer].addChild(this.container);
+
+    // First ground in the scene is the one props stand on
+    app.terrain ??= this;
   }
 
   createLayers() {
     const { width, height } = this.app;
 
-    // Clear existing
-    this.container.removeChildren();
+    // Clear existing hills, forests and windows (mounted props are put back by placeMounts)
+    for (const child of this.container.removeChildren()) {
+      if (!this.mounts.has(child)) child.destroy({ children: true });
+    }
     this.layers = [];
 
     // Create layers from back to front
@@ -39,32 +95,163 @@ export class SnowGround {
 
       // Properties vary by depth
       layer.depth = t;
-      layer.baseY = height * (1 - this.baseHeight * (1 + t * 0.5)); // Higher = further back
+      layer.baseY = height * (1 - this.baseHeight * (1 + (1 - t) * 0.5)); // Higher = further back
       layer.noiseScale = 0.002 + t * 0.002;
       layer.amplitude = 30 + t * 40;
       layer.noiseOffset = i * 1000; // Unique noise per layer
+      layer.index = i;
 
       // Color gets lighter as it comes forward
       layer.color = lerpColor(christmasColors.snowShadow, christmasColors.snowWhite, t * 0.8);
 
+      // Drifts are stored per profile point, so they survive a resize
+      if (!this.drifts[i]) this.drifts[i] = new Float32Array(RESOLUTION + 1);
+
       this.layers.push(layer);
       this.container.addChild(layer);
     }
 
+    this.computeProfiles();
     this.drawLayers();
+    if (this.forest) this.plantForests();
+    this.placeMounts();
   }
 
-  drawLayers() {
-    const { width, height } = this.app;
-    const resolution = 100;
+  /**
+   * Forest layer indices (back to front)
+   */
+  forestLayers() {
+    return this.forest.layers ?? this.layers.slice(0, -1).map(layer => layer.index);
+  }
 
-    for (const layer of this.layers) {
-      layer.clear();
+  /**
+   * Plant trees (and cabins) behind each forest layer's next hill, so the
+   * nearer hill hides their feet
+   */
+  plantForests() {
+    this.windows = [];
+
+    for (const index of this.forestLayers()) {
+      const layer = this.getLayer(index);
+      this.forests[index] ??= this.createForest(layer);
+
+      const forest = new Graphics();
+      const windows = new Container();
+      this.drawForest(forest, windows, layer, this.forests[index]);
+
+      // Right after its hill, in front of the farther ones
+      const at = this.container.getChildIndex(layer) + 1;
+      this.container.addChildAt(windows, at);
+      this.container.addChildAt(forest, at);
+      layer.forest = forest;
+      this.windows.push(windows);
+    }
+  }
+
+  /**
+   * Trees along a hill: groves and clearings from noise, two loose rows
+   * (one on the crest, one a little down its face)
+   * @returns {{trees: Object[], cabins: Object[]}} Positions in normalized x
+   */
+  createForest(layer) {
+    const random = createRandom(deriveSeed(this.seed, `forest-${layer.index}`));
+    const count = Math.round(this.forest.trees * lerp(1.6, 1, layer.depth));
+    const trees = [];
+
+    for (let i = 0; i < count * 2; i++) {
+      const x = (i % count + random()) / count;
+      const row = i < count ? 0 : 1;
+      const grove = this.noise.get2D(x * 6, layer.index * 10 + 500);
+      if (grove < (row ? 0.1 : -0.35)) continue; // Clearing (the lower row is patchier)
+
+      trees.push({
+        x,
+        sink: row ? randomRange(0.3, 0.6, random) : randomRange(0, 0.15, random), // Tree heights down the hill
+        size: randomRange(0.6, 1.2, random) * (row ? 0.95 : 1),
+        width: randomRange(0.35, 0.55, random),
+        tiers: randomInt(4, 7, random),
+        lean: randomRange(-0.03, 0.03, random),
+        seed: random()
+      });
+    }
+    // Back row first
+    trees.sort((a, b) => a.sink - b.sink);
+
+    const cabins = [];
+    for (let i = 0; i < this.forest.windows; i++) {
+      cabins.push({
+        x: randomRange(0.05, 0.95, random),
+        size: randomRange(0.8, 1.1, random),
+        flicker: randomRange(0, Math.PI * 2, random)
+      });
+    }
+
+    return { trees, cabins };
+  }
+
+  /**
+   * Silhouettes tinted by the hill: farther layers are smaller and fade
+   * into the dark, with snow in the hill's color
+   */
+  drawForest(forest, windows, layer, { trees, cabins }) {
+    const distance = 1 - layer.depth;
+    const tallest = this.app.height * this.forest.height * lerp(1, 0.45, distance);
+    const color = lerpColor(lerpColor(FOREST_SHADE, layer.color, 0.25), DISTANCE_SHADE, distance * 0.5);
+    const snow = lerpColor(layer.color, christmasColors.snowWhite, 0.4);
+
+    for (const tree of trees) {
+      const x = tree.x * this.app.width;
+      const height = tallest * tree.size;
+      drawSilhouette(forest, {
+        x,
+        y: this.heightAt(x, layer.index) + height * tree.sink,
+        height,
+        width: tree.width,
+        tiers: tree.tiers,
+        lean: tree.lean,
+        color,
+        snow,
+        random: createRandom(tree.seed)
+      });
+    }
+
+    windows.cabins = [];
+    for (const cabin of cabins) {
+      const x = cabin.x * this.app.width;
+      const size = tallest * 0.7 * cabin.size; // Wall width, in Cabin's proportions
+      const wall = size * 0.55;
+      const y = this.heightAt(x, layer.index) + wall * 0.3;
+
+      // Log walls under a snowy roof
+      forest.rect(x - size / 2, y - wall, size, wall);
+      forest.fill(color);
+      forest.moveTo(x - size * 0.62, y - wall);
+      forest.lineTo(x, y - size * 0.95);
+      forest.lineTo(x + size * 0.62, y - wall);
+      forest.closePath();
+      forest.fill(christmasColors.snowWhite);
 
-      // Generate hill profile using noise
-      const points = [];
-      for (let i = 0; i <= resolution; i++) {
-        const t = i / resolution;
+      // Lit windows, faded in by update()
+      const lamp = new Graphics();
+      drawLamplight(lamp, lamp, windowPanes(size, 2));
+      lamp.x = x;
+      lamp.y = y;
+      lamp.flicker = cabin.flicker;
+      windows.addChild(lamp);
+      windows.cabins.push(lamp);
+    }
+  }
+
+  /**
+   * Generate each layer's hill profile from noise
+   */
+  computeProfiles() {
+    const { width } = this.app;
+
+    for (const layer of this.layers) {
+      layer.profile = [];
+      for (let i = 0; i <= RESOLUTION; i++) {
+        const t = i / RESOLUTION;
         const x = t * width;
 
         // Multi-octave noise for natural hills
@@ -77,9 +264,21 @@ export class SnowGround {
         // Add some larger rolling hills
         const bigHill = Math.sin(t * Math.PI * 2 + layer.noiseOffset * 0.001) * 20;
 
-        const y = layer.baseY + noise * layer.amplitude + bigHill;
-        points.push({ x, y });
+        layer.profile.push({ x, y: layer.baseY + noise * layer.amplitude + bigHill });
       }
+    }
+  }
+
+  drawLayers() {
+    const { width, height } = this.app;
+    this.settled = 0;
+
+    for (const layer of this.layers) {
+      layer.clear();
+
+      // Hill profile raised by the snow that has settled on it
+      const drift = this.drifts[layer.index];
+      const points = layer.profile.map((p, i) => ({ x: p.x, y: p.y - drift[i] }));
 
       // Draw filled area
       layer.moveTo(0, height);
@@ -104,16 +303,240 @@ export class SnowGround {
     }
   }
 
+  /**
+   * Resolve a layer index (default: the front layer)
+   */
+  getLayer(layerIndex = this.layerCount - 1) {
+    const layer = this.layers[layerIndex];
+    if (!layer) {
+      throw new Error(`SnowGround has no hill layer ${layerIndex} (expected 0-${this.layerCount - 1}, 0 = back)`);
+    }
+    return layer;
+  }
+
+  /**
+   * Profile segment under x: index of its left point and position along it (0-1)
+   */
+  segmentAt(x) {
+    const t = clamp(x / this.app.width, 0, 1) * RESOLUTION;
+    const index = Math.min(Math.floor(t), RESOLUTION - 1);
+    return { index, t: t - index };
+  }
+
+  /**
+   * Screen y of a hill's surface (the hill itself, without drifted snow)
+   * @param {number} x - Screen x in pixels (clamped to the screen)
+   * @param {number} [layerIndex] - Hill layer, 0 = back (default: front)
+   * @returns {number}
+   */
+  heightAt(x, layerIndex) {
+    const { profile } = this.getLayer(layerIndex);
+    const { index, t } = this.segmentAt(x);
+    return lerp(profile[index].y, profile[index + 1].y, t);
+  }
+
+  /**
+   * Depth of the snow drifted onto a hill at x, in pixels
+   * @param {number} x - Screen x in pixels
+   * @param {number} [layerIndex] - Hill layer, 0 = back (default: front)
+   */
+  snowDepthAt(x, layerIndex) {
+    const drift = this.drifts[this.getLayer(layerIndex).index];
+    const { index, t } = this.segmentAt(x);
+    return lerp(drift[index], drift[index + 1], t);
+  }
+
+  /**
+   * Unit surface normal of a hill at x, pointing up out of the ground
+   * @param {number} x - Screen x in pixels
+   * @param {number} [layerIndex] - Hill layer, 0 = back (default: front)
+   * @returns {{x: number, y: number}}
+   */
+  normalAt(x, layerIndex) {
+    const { profile } = this.getLayer(layerIndex);
+    const { index } = this.segmentAt(x);
+    const slope = (profile[index + 1].y - profile[index].y) / (profile[index + 1].x - profile[index].x);
+    const length = Math.sqrt(slope * slope + 1);
+    return { x: slope / length, y: -1 / length };
+  }
+
+  /**
+   * Where something standing on a hill at x has its base
+   * @param {number} x - Screen x in pixels
+   * @param {Object} [options]
+   * @param {number} [options.layer] - Hill layer, 0 = back (default: front)
+   * @param {number} [options.sink=0] - How far down the hill's face it stands: 0 = on the crest line, 1 = at the bottom of the screen
+   * @param {number} [options.offset=0] - Extra pixels down (negative = up)
+   * @returns {number} Screen y
+   */
+  groundY(x, { layer, sink = 0, offset = 0 } = {}) {
+    return lerp(this.heightAt(x, layer), this.app.height, sink) + offset;
+  }
+
+  /**
+   * Keep a display object standing on a hill. It is placed now and again on
+   * every resize.
+   * @param {Container} object
+   * @param {Object} options
+   * @param {number} options.x - Normalized x (0-1)
+   * @param {number} [options.layer] - Hill layer, 0 = back (default: front)
+   * @param {number} [options.sink=0] - See groundY()
+   * @param {number} [options.offset=0] - See groundY()
+   * @param {boolean} [options.align=false] - Tilt with the slope
+   * @returns {Function} Detach
+   */
+  anchor(object, options) {
+    this.anchors.set(object, options);
+    this.placeAnchor(object, options);
+    return () => this.anchors.delete(object);
+  }
+
+  /**
+   * Draw a display object among the hills: in front of one hill layer (and
+   * its forest), behind the nearer ones. It stays there across resizes.
+   * Position it with anchor().
+   * @param {Container} object
+   * @param {number} [layerIndex] - Hill layer, 0 = back (default: front)
+   * @returns {Function} Unmount (removes it from the hills)
+   */
+  mount(object, layerIndex) {
+    this.mounts.set(object, this.getLayer(layerIndex).index);
+    this.placeMounts();
+    return () => {
+      this.mounts.delete(object);
+      object.removeFromParent();
+    };
+  }
+
+  placeMounts() {
+    for (const [object, index] of this.mounts) {
+      object.removeFromParent();
+      // Just before the next hill, or on top if it stands on the front one
+      const next = this.layers[index + 1];
+      if (next) {
+        this.container.addChildAt(object, this.container.getChildIndex(next));
+      } else {
+        this.container.addChild(object);
+      }
+    }
+  }
+
+  placeAnchor(object, options) {
+    const x = options.x * this.app.width;
+    object.x = x;
+    object.y = this.groundY(x, options);
+
+    if (options.align) {
+      const normal = this.normalAt(x, options.layer);
+      object.rotation = Math.atan2(normal.x, -normal.y);
+    }
+  }
+
+  /**
+   * Land a falling flake on the hill matching its depth
+   * @param {Object} flake - Exposes x, y, depth (0 = back, 1 = front) and size (radius in pixels)
+   * @returns {boolean} True if the flake landed (the caller recycles it)
+   */
+  catchSnow(flake) {
+    if (!this.accumulation || this.app.loopDuration) return false;
+
+    const index = Math.min(this.layerCount - 1, Math.floor(flake.depth * this.layerCount));
+    if (flake.y < this.heightAt(flake.x, index) - this.snowDepthAt(flake.x, index)) return false;
+
+    const column = Math.round(clamp(flake.x / this.app.width, 0, 1) * RESOLUTION);
+    const drift = this.drifts[index];
+
+    // Spread over neighbouring columns so drifts build up smoothly
+    const amount = flake.size * 0.5 * this.accumulation;
+    for (let offset = -1; offset <= 1; offset++) {
+      const i = column + offset;
+      if (i < 0 || i > RESOLUTION) continue;
+      drift[i] = Math.min(this.maxDrift, drift[i] + amount * (offset === 0 ? 0.5 : 0.25));
+    }
+
+    this.driftsDirty = true;
+    return true;
+  }
+
+  /**
+   * Drifts spread out into their neighbours and slowly compact
+   * @returns {number} Largest change to any drift, in pixels
+   */
+  settle(delta) {
+    const spread = Math.min(1, delta * 0.5);
+    const compact = 1 - this.settleRate * delta;
+    let change = 0;
+
+    for (const drift of this.drifts) {
+      let previous = drift[0];
+      for (let i = 0; i <= RESOLUTION; i++) {
+        const current = drift[i];
+        const next = i < RESOLUTION ? drift[i + 1] : current;
+        drift[i] = (current + ((previous + next) * 0.5 - current) * spread) * compact;
+        change = Math.max(change, Math.abs(drift[i] - current));
+        previous = current;
+      }
+    }
+    return change;
+  }
+
   update(delta, elapsed) {
-    // Ground is static, no animation needed
-    // Could add subtle snow sparkle effect here if desired
+    // Only the lighting follows the day/night cycle
+    const tint = this.app.timeOfDay?.state.tint ?? 0xFFFFFF;
+    for (const layer of this.layers) {
+      layer.tint = tint;
+      if (layer.forest) layer.forest.tint = tint;
+    }
+
+    // Cabin windows glow after dark (as the stars come out) and flicker faintly
+    if (this.windows.length) {
+      const night = this.app.timeOfDay?.state.stars ?? 1;
+      for (const windows of this.windows) {
+        for (const lamp of windows.cabins) {
+          lamp.alpha = night * 0.5 * lampFlicker(this.noise, elapsed, this.app.loopDuration, lamp.flicker);
+        }
+      }
+    }
+
+    if (this.app.loopDuration || !this.accumulation) return;
+
+    // Settling alone redraws too, once it has visibly changed the drifts
+    this.settled += this.settle(delta);
+    if (this.settled > SETTLE_REDRAW) this.driftsDirty = true;
+
+    // Redrawing the hills is the expensive part - a few times a second is plenty
+    this.redrawTimer += delta;
+    if (this.driftsDirty && this.redrawTimer > 0.2) {
+      this.drawLayers();
+      this.driftsDirty = false;
+      this.redrawTimer = 0;
+    }
+  }
+
+  /**
+   * Melt all drifts (back to the initial state)
+   */
+  reset() {
+    for (const drift of this.drifts) drift.fill(0);
+    this.driftsDirty = false;
+    this.redrawTimer = 0;
+    if (this.app) this.drawLayers();
   }
 
   onResize(width, height) {
     this.createLayers();
+
+    for (const [object, options] of this.anchors) {
+      this.placeAnchor(object, options);
+    }
   }
 
   onDestroy() {
+    if (this.app.terrain === this) this.app.terrain = null;
+    this.anchors.clear();
+    // Mounted props belong to their own scenes
+    for (const object of this.mounts.keys()) object.removeFromParent();
+    this.mounts.clear();
     this.container.destroy({ children: true });
   }
 }
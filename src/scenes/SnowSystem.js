@@ -1,165 +1,520 @@
-import { Graphics, Container } from 'pixi.js';
+import { Container, Particle, ParticleContainer, Rectangle } from 'pixi.js';
 import { ObjectPool } from '../utils/pool.js';
+import { getParticleAtlas, DOT_RADIUS, CRYSTAL_RADIUS } from '../utils/particleTextures.js';
 import { Noise } from '../utils/noise.js';
 import { christmasColors } from '../utils/color.js';
-import { randomRange, lerp } from '../utils/math.js';
+import { randomRange, randomPick, lerp, clamp, wrap, loopSpeed } from '../utils/math.js';
+import { createRandom, deriveSeed, randomSeed } from '../utils/random.js';
 
 /**
  * Heavy snowfall particle system with wind drift and depth layers
+ *
+ * Scenes that implement catchSnow(flake, delta) (SnowGround, ChristmasTree)
+ * get a chance to catch every falling flake; caught flakes are recycled.
+ *
+ * Flakes are Particles in a few ParticleContainers, one per depth bucket
+ * (drawn back to front), so tens of thousands render in a handful of draw
+ * calls without sorting. The noise flow is sampled on a coarse grid once per
+ * frame and interpolated per flake.
+ *
+ * The nearest flakes are six-fold crystals (see snowflakes.js) that turn
+ * slowly; the rest stay soft dots.
+ *
+ * With `interactive: true`, a moving pointer pushes flakes out of its way.
  */
 export class SnowSystem {
+  /**
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - See registerSceneType
+   */
   constructor(options = {}) {
     this.particleCount = options.particleCount || 400;
+    this.maxParticleCount = options.maxParticleCount || this.particleCount * 2; // Reached in a blizzard
     this.windStrength = options.windStrength || 1;
+    this.layer = options.layer || 'particles';
+    this.bucketCount = options.bucketCount || 4; // Depth buckets, drawn back to front
+    this.qualityScale = 1; // Share of the flake count the quality tier allows (see setQuality)
+    this.crystalDepth = options.crystalDepth ?? 0.75; // Flakes at least this near are crystals (1 = none)
+    this.crystalScale = options.crystalScale || 2; // Drawn size of a crystal relative to a dot of the same depth
+    this.interactive = options.interactive || false; // Pushed around by the pointer (see Pointer)
+    this.pushRadius = options.pushRadius || 90; // Pixels around the pointer that flakes are pushed from
+    this.pushStrength = options.pushStrength ?? 1;
+
+    this.seed = options.seed ?? randomSeed();
+    this.random = createRandom(this.seed);
 
     this.container = new Container();
-    this.noise = new Noise();
+    this.buckets = [];
+    this.noise = new Noise(deriveSeed(this.seed, 'noise'));
+    this.flowGrid = null;
     this.particles = [];
+    this.bucketsDirty = false; // Flakes were removed, bucket contents need rebuilding
     this.pool = null;
     this.app = null;
+    this.stateful = true; // Positions depend on past frames (see App.seek)
 
     // Wind state
     this.windDirection = 0;
     this.targetWindDirection = 0;
     this.windChangeTimer = 0;
+    this.spawnBudget = 0; // Fractional flakes owed while the weather ramps up
   }
 
   onAdd(app) {
     this.app = app;
 
-    // Create particle pool with varied snowflake graphics
+    const { textures } = getParticleAtlas();
+    for (let i = 0; i < this.bucketCount; i++) {
+      const bucket = new ParticleContainer({
+        texture: textures.dot,
+        dynamicProperties: { position: true, rotation: true, vertex: true, color: true }
+      });
+      this.buckets.push(bucket);
+      this.container.addChild(bucket);
+    }
+    this.updateBounds();
+
+    if (this.interactive) {
+      this.disablePointer = app.pointer.enable();
+    }
+
+    // Create particle pool
     this.pool = new ObjectPool(
       () => this.createSnowflake(),
       this.particleCount
     );
 
     // Spawn initial particles across the screen
-    for (let i = 0; i < this.particleCount; i++) {
-      this.spawnParticle(false);
-    }
+    this.reset();
 
-    // Add to particles layer
-    app.layers.particles.addChild(this.container);
+    // Add to particles layer by default
+    app.layers[this.layer].addChild(this.container);
   }
 
   createSnowflake() {
-    const g = new Graphics();
+    return new Particle({
+      texture: getParticleAtlas().textures.dot,
+      anchorX: 0.5,
+      anchorY: 0.5,
+      tint: christmasColors.snowWhite
+    });
+  }
 
-    // Simple circle snowflake
-    g.circle(0, 0, 1);
-    g.fill(christmasColors.snowWhite);
+  spawnParticle(atTop = true) {
+    const particle = this.pool.acquire((p) => {
+      this.initFlake(p, atTop, this.random());
+
+      // Textures only change here: a flake recycled in place keeps its shape,
+      // so its bucket's static data stays valid
+      p.texture = p.crystal
+        ? randomPick(getParticleAtlas().crystals, null, this.random)
+        : getParticleAtlas().textures.dot;
+      this.setSize(p, p.size);
+    });
 
-    return g;
+    this.particles.push(particle);
+    this.buckets[this.bucketFor(particle.depth)].addParticle(particle);
+    return particle;
   }
 
-  spawnParticle(atTop = true) {
+  /**
+   * (Re)start a flake, at the top or anywhere on screen
+   * @param {number} depth - 0 = far back, 1 = front
+   */
+  initFlake(p, atTop, depth) {
     const { width, height } = this.app;
 
-    const particle = this.pool.acquire((p) => {
-      // Random position
-      p.x = randomRange(-50, width + 50);
-      p.y = atTop ? randomRange(-50, -10) : randomRange(0, height);
+    // Random position
+    p.x = randomRange(-50, width + 50, this.random);
+    p.y = atTop ? randomRange(-50, -10, this.random) : randomRange(0, height, this.random);
+
+    // Depth layer (0 = far back, 1 = front)
+    p.depth = depth;
+    p.crystal = depth >= this.crystalDepth;
+
+    // Size based on depth (far = small, near = large)
+    p.baseSize = lerp(1, 4, depth);
+    this.setSize(p, p.baseSize);
+
+    // Velocity based on depth
+    p.vy = lerp(30, 100, depth); // Slower in back, faster in front
+    p.vx = 0;
+
+    // Alpha based on depth
+    p.baseAlpha = lerp(0.3, 0.9, depth);
+    p.alpha = p.baseAlpha;
+
+    // Wobble properties for organic motion
+    p.wobbleSpeed = randomRange(1, 3, this.random);
+    p.wobbleOffset = randomRange(0, Math.PI * 2, this.random);
+    p.wobbleAmount = randomRange(10, 30, this.random);
+
+    // Crystals turn slowly (dots look the same at any angle)
+    p.rotationSpeed = p.crystal ? randomRange(-0.6, 0.6, this.random) : 0;
+    p.baseRotation = p.crystal ? randomRange(0, Math.PI / 3, this.random) : 0;
+    p.rotation = p.baseRotation;
+
+    // Loop anchor, set on the first looping frame
+    p.loopX = undefined;
+    p.loopY = undefined;
+
+    // Pointer push: velocity, and in loop mode the offset it builds up
+    p.kickX = 0;
+    p.kickY = 0;
+    p.pushX = 0;
+    p.pushY = 0;
+  }
+
+  /**
+   * Shove a flake away from a moving pointer. The push builds up a velocity
+   * that dies away over about a second.
+   * @returns {boolean} Whether the flake is moving from a push
+   */
+  pushFlake(p, delta, pointer) {
+    if (pointer) {
+      const dx = p.x - pointer.x;
+      const dy = p.y - pointer.y;
+      const distanceSq = dx * dx + dy * dy;
+      const radius = this.pushRadius;
+
+      if (distanceSq < radius * radius && distanceSq > 1) {
+        const distance = Math.sqrt(distanceSq);
+        const falloff = 1 - distance / radius;
+
+        // Out from the pointer at its speed, and along with its motion;
+        // distant flakes are parallaxed past and react less
+        const force = falloff * falloff * this.pushStrength * (0.3 + 0.7 * p.depth) * 6 * delta;
+        p.kickX += (dx / distance * pointer.speed + pointer.vx) * force;
+        p.kickY += (dy / distance * pointer.speed + pointer.vy) * force;
+      }
+    }
+
+    if (p.kickX === 0 && p.kickY === 0) return false;
+
+    const damping = Math.exp(-3 * delta);
+    p.kickX *= damping;
+    p.kickY *= damping;
+    if (Math.abs(p.kickX) + Math.abs(p.kickY) < 0.5) {
+      p.kickX = 0;
+      p.kickY = 0;
+    }
+    return true;
+  }
 
-      // Depth layer (0 = far back, 1 = front)
-      const depth = Math.random();
-      p.depth = depth;
+  /**
+   * The pointer, when it's moving over the canvas and this scene is interactive
+   */
+  get activePointer() {
+    const pointer = this.app.pointer;
+    return this.interactive && pointer.inside && pointer.speed > 20 ? pointer : null;
+  }
 
-      // Size based on depth (far = small, near = large)
-      const size = lerp(1, 4, depth);
-      p.scale.set(size);
+  /**
+   * @param {number} size - Radius in pixels
+   */
+  setSize(p, size) {
+    p.size = size; // Read by catchSnow()
+    p.scaleX = p.scaleY = p.crystal
+      ? size * this.crystalScale / CRYSTAL_RADIUS
+      : size / (DOT_RADIUS * 0.85); // The dot's visible edge is feathered
+  }
 
-      // Velocity based on depth
-      p.vy = lerp(30, 100, depth); // Slower in back, faster in front
-      p.vx = 0;
+  bucketFor(depth) {
+    return Math.min(this.bucketCount - 1, Math.floor(depth * this.bucketCount));
+  }
 
-      // Alpha based on depth
-      p.alpha = lerp(0.3, 0.9, depth);
+  /**
+   * Drop removed flakes from their buckets in one pass
+   */
+  rebuildBuckets() {
+    for (const bucket of this.buckets) {
+      bucket.particleChildren.length = 0;
+    }
+    for (const p of this.particles) {
+      this.buckets[this.bucketFor(p.depth)].particleChildren.push(p);
+    }
+    for (const bucket of this.buckets) {
+      bucket.update();
+    }
+    this.bucketsDirty = false;
+  }
+
+  /**
+   * Bounds of the flake area (ParticleContainers don't measure their children)
+   */
+  updateBounds() {
+    const { width, height } = this.app;
+    for (const bucket of this.buckets) {
+      bucket.boundsArea = new Rectangle(-60, -60, width + 120, height + 90);
+    }
+  }
 
-      // Wobble properties for organic motion
-      p.wobbleSpeed = randomRange(1, 3);
-      p.wobbleOffset = randomRange(0, Math.PI * 2);
-      p.wobbleAmount = randomRange(10, 30);
+  /**
+   * Sample the horizontal noise flow at grid points once per frame; flakes
+   * interpolate it instead of each evaluating fbm noise
+   */
+  updateFlowGrid(elapsed, loop = 0) {
+    const { width, height } = this.app;
+    const cell = 48;
+    const cols = Math.ceil((width + 120) / cell) + 1;
+    const rows = Math.ceil((height + 90) / cell) + 1;
 
-      // Unique noise offset
-      p.noiseOffset = randomRange(0, 10000);
+    if (!this.flowGrid || this.flowGrid.cols !== cols || this.flowGrid.rows !== rows) {
+      this.flowGrid = { cell, cols, rows, values: new Float32Array(cols * rows) };
+    }
 
-      // Rotation speed (only for larger flakes)
-      p.rotationSpeed = depth > 0.7 ? randomRange(-2, 2) : 0;
+    const t = elapsed * 0.2;
+    const { values } = this.flowGrid;
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const x = (col * cell - 60) * 0.003;
+        const y = (row * cell - 60) * 0.003;
+        values[row * cols + col] = this.noise.fbmLoop(x, y, t, loop * 0.2);
+      }
+    }
+  }
 
-      p.visible = true;
-    });
+  /**
+   * Horizontal flow (-1 to 1) at a screen position, from the grid
+   */
+  flowAt(x, y) {
+    const { cell, cols, rows, values } = this.flowGrid;
+    const gx = clamp((x + 60) / cell, 0, cols - 1.001);
+    const gy = clamp((y + 60) / cell, 0, rows - 1.001);
+    const col = Math.floor(gx);
+    const row = Math.floor(gy);
+    const tx = gx - col;
+    const ty = gy - row;
+
+    const i = row * cols + col;
+    const top = values[i] + (values[i + 1] - values[i]) * tx;
+    const bottom = values[i + cols] + (values[i + cols + 1] - values[i + cols]) * tx;
+    return top + (bottom - top) * ty;
+  }
 
-    this.particles.push(particle);
-    this.container.addChild(particle);
-    return particle;
+  /**
+   * Number of flakes that should be falling: set by the weather when there is
+   * a weather controller, otherwise particleCount
+   */
+  get targetCount() {
+    const weather = this.app.weather;
+    const count = weather ? this.maxParticleCount * weather.params.snow : this.particleCount;
+    return Math.round(count * this.qualityScale);
+  }
+
+  /**
+   * Fewer flakes on lower tiers (see QualityGovernor). The count eases to the
+   * new target like a change in the weather.
+   */
+  setQuality(tier) {
+    this.qualityScale = tier.particles;
   }
 
   update(delta, elapsed) {
     const { width, height } = this.app;
+    const weather = this.app.weather;
+    const flakeSize = weather?.params.flakeSize ?? 1;
+    const fallSpeed = weather?.params.fallSpeed ?? 1;
+
+    if (this.app.loopDuration) {
+      this.updateLooping(elapsed, this.app.loopDuration, delta);
+      return;
+    }
 
-    // Update wind direction periodically
-    this.windChangeTimer += delta;
-    if (this.windChangeTimer > 3) {
-      this.targetWindDirection = randomRange(-1, 1) * this.windStrength;
-      this.windChangeTimer = 0;
+    if (weather) {
+      // Shared wind, so everything in the scene leans the same way
+      this.windDirection = weather.wind.x * this.windStrength;
+    } else {
+      // Update wind direction periodically
+      this.windChangeTimer += delta;
+      if (this.windChangeTimer > 3) {
+        this.targetWindDirection = randomRange(-1, 1, this.random) * this.windStrength;
+        this.windChangeTimer = 0;
+      }
+
+      // Smooth wind transition
+      this.windDirection = lerp(this.windDirection, this.targetWindDirection, delta * 0.5);
     }
 
-    // Smooth wind transition
-    this.windDirection = lerp(this.windDirection, this.targetWindDirection, delta * 0.5);
+    const target = this.targetCount;
+    const catchers = this.app.scenes.filter(scene => scene.catchSnow);
+    const pointer = this.activePointer;
+    this.updateFlowGrid(elapsed);
 
     // Update particles
     for (let i = this.particles.length - 1; i >= 0; i--) {
       const p = this.particles[i];
 
-      // Get flow field influence
-      const flow = this.noise.flowField(
-        p.x + p.noiseOffset,
-        p.y,
-        elapsed,
-        0.003,
-        0.2
-      );
-
       // Wind effect (stronger for closer particles)
       const windEffect = this.windDirection * 50 * p.depth;
 
-      // Apply horizontal movement
-      p.vx = flow.x * 20 * p.depth + windEffect;
+      // Apply horizontal movement with the flow field
+      p.vx = this.flowAt(p.x, p.y) * 20 * p.depth + windEffect;
 
       // Wobble
       const wobble = Math.sin(elapsed * p.wobbleSpeed + p.wobbleOffset) * p.wobbleAmount * p.depth;
 
       // Update position
       p.x += (p.vx + wobble) * delta;
-      p.y += p.vy * delta;
+      p.y += p.vy * fallSpeed * delta;
+      this.setSize(p, p.baseSize * flakeSize);
+
+      if (this.pushFlake(p, delta, pointer)) {
+        p.x += p.kickX * delta;
+        p.y += p.kickY * delta;
+      }
 
       // Rotation for larger flakes
       if (p.rotationSpeed) {
         p.rotation += p.rotationSpeed * delta;
       }
 
-      // Recycle if off screen
-      if (p.y > height + 20 || p.x < -60 || p.x > width + 60) {
-        this.particles.splice(i, 1);
-        this.container.removeChild(p);
-        p.visible = false;
-        this.pool.release(p);
+      // Land on the ground or the tree instead of falling through them
+      let landed = false;
+      for (let c = 0; c < catchers.length && !landed; c++) {
+        landed = catchers[c].catchSnow(p, delta);
+      }
+
+      // Recycle if landed or off screen
+      if (landed || p.y > height + 20 || p.x < -60 || p.x > width + 60) {
+        if (this.particles.length <= target) {
+          // Restart in place at the same depth, so it stays in its bucket
+          this.initFlake(p, true, p.depth);
+        } else {
+          // Snow is easing off
+          this.particles.splice(i, 1);
+          this.pool.release(p);
+          this.bucketsDirty = true;
+        }
+      }
+    }
+
+    if (this.bucketsDirty) this.rebuildBuckets();
 
-        // Spawn replacement
+    // Snow picking up: new flakes enter at the top at the rate they'd fall
+    // through, so the screen fills in over one fall time instead of in a band
+    if (this.particles.length < target) {
+      this.spawnBudget += delta * target * 65 * fallSpeed / (height + 70);
+      while (this.spawnBudget >= 1 && this.particles.length < target) {
         this.spawnParticle(true);
+        this.spawnBudget -= 1;
+      }
+    } else {
+      this.spawnBudget = 0;
+    }
+  }
+
+  /**
+   * Loop mode: every flake's position is a pure function of time. Flakes fall
+   * a whole number of screen heights per loop and wrap around off screen,
+   * and wind/flow become periodic displacements instead of velocities.
+   */
+  updateLooping(elapsed, loop, delta) {
+    const { width, height } = this.app;
+    const pointer = this.activePointer;
+    const fallSpan = height + 70; // -50 to height + 20, matching the recycle bounds
+    const weather = this.app.weather;
+    const flakeSize = weather?.params.flakeSize ?? 1;
+    const fallSpeed = weather?.params.fallSpeed ?? 1;
+
+    // Periodic gusts in place of the random wind timer (the weather's are periodic too)
+    const wind = (weather ? weather.wind.x : this.noise.getLoop(0, 500, elapsed * 0.1, loop * 0.1)) * this.windStrength;
+
+    // The weather holds still in loop mode, so the active count is fixed
+    const target = this.targetCount;
+    while (this.particles.length < target) {
+      this.spawnParticle(false);
+    }
+
+    this.updateFlowGrid(elapsed, loop);
+
+    for (let i = 0; i < this.particles.length; i++) {
+      const p = this.particles[i];
+      p.alpha = i < target ? p.baseAlpha : 0;
+      if (i >= target) continue;
+
+      // Anchor the loop on the flake's current position
+      if (p.loopX === undefined) {
+        p.loopX = p.x;
+        p.loopY = p.y - elapsed * this.loopFallSpeed(p, loop, fallSpan, fallSpeed);
+      }
+
+      p.y = wrap(p.loopY + elapsed * this.loopFallSpeed(p, loop, fallSpan, fallSpeed), -50, height + 20);
+      this.setSize(p, p.baseSize * flakeSize);
+
+      const flow = this.flowAt(p.loopX, p.y);
+      const wobbleSpeed = loopSpeed(p.wobbleSpeed, loop);
+      const wobble = Math.sin(elapsed * wobbleSpeed + p.wobbleOffset) * p.wobbleAmount / wobbleSpeed;
+
+      p.x = wrap(p.loopX + (wind * 150 + flow * 40 + wobble) * p.depth, -60, width + 60);
+
+      // Pushes are offsets that ease back to zero, so the loop stays seamless
+      if (this.pushFlake(p, delta, pointer) || p.pushX || p.pushY) {
+        const settle = Math.exp(-1.5 * delta);
+        p.pushX = (p.pushX + p.kickX * delta) * settle;
+        p.pushY = (p.pushY + p.kickY * delta) * settle;
+        if (Math.abs(p.pushX) + Math.abs(p.pushY) < 0.05) {
+          p.pushX = 0;
+          p.pushY = 0;
+        }
+        p.x += p.pushX;
+        p.y += p.pushY;
       }
+
+      if (p.rotationSpeed) {
+        // Six-fold, so a sixth of a turn repeats
+        p.rotation = p.baseRotation + elapsed * loopSpeed(p.rotationSpeed, loop, Math.PI / 3);
+      }
+    }
+  }
+
+  /**
+   * Fall speed snapped so a flake crosses the screen a whole number of times per loop
+   */
+  loopFallSpeed(p, loop, fallSpan, fallSpeed = 1) {
+    return fallSpan * Math.max(1, Math.round(p.vy * fallSpeed * loop / fallSpan)) / loop;
+  }
+
+  onLoopChange() {
+    // Re-anchor flakes on their current positions (flakes hidden by the
+    // loop's fixed count reappear and fall out naturally)
+    for (const p of this.particles) {
+      p.loopX = undefined;
+      p.loopY = undefined;
+      p.alpha = p.baseAlpha;
     }
+  }
+
+  /**
+   * Return to the initial state for this seed
+   */
+  reset() {
+    this.pool.releaseAll();
+    this.particles = [];
+    this.rebuildBuckets();
 
-    // Sort particles by depth for proper layering
-    this.container.children.sort((a, b) => (a.depth || 0) - (b.depth || 0));
+    this.random = createRandom(this.seed);
+    this.windDirection = 0;
+    this.targetWindDirection = 0;
+    this.windChangeTimer = 0;
+    this.spawnBudget = 0;
+
+    const count = this.targetCount;
+    for (let i = 0; i < count; i++) {
+      this.spawnParticle(false);
+    }
   }
 
   onResize(width, height) {
     // Particles will naturally adjust as they recycle
+    this.updateBounds();
   }
 
   onDestroy() {
-    this.pool.dispose((p) => p.destroy());
+    this.disablePointer?.();
+
+    // Particles are plain objects; the atlas texture is shared, so keep it
+    this.pool.dispose();
     this.container.destroy({ children: true });
   }
 }
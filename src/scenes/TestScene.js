@@ -3,6 +3,7 @@ import { ObjectPool } from '../utils/pool.js';
 import { Noise } from '../utils/noise.js';
 import { randomRange, lerp } from '../utils/math.js';
 import { palettes, pickFromPalette, lerpColor } from '../utils/color.js';
+import { createRandom, deriveSeed, randomSeed } from '../utils/random.js';
 
 /**
  * Test scene demonstrating:
@@ -12,15 +13,24 @@ import { palettes, pickFromPalette, lerpColor } from '../utils/color.js';
  * - Color palette usage
  */
 export class TestScene {
+  /**
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - See registerSceneType
+   */
   constructor(options = {}) {
     this.particleCount = options.particleCount || 200;
     this.palette = options.palette || palettes.warmNight;
+    this.layer = options.layer || 'particles';
+
+    this.seed = options.seed ?? randomSeed();
+    this.random = createRandom(this.seed);
 
     this.container = new Container();
-    this.noise = new Noise();
+    this.noise = new Noise(deriveSeed(this.seed, 'noise'));
     this.particles = [];
     this.pool = null;
     this.app = null;
+    this.stateful = true; // Positions depend on past frames (see App.seek)
   }
 
   onAdd(app) {
@@ -33,12 +43,10 @@ export class TestScene {
     );
 
     // Spawn initial particles
-    for (let i = 0; i < this.particleCount; i++) {
-      this.spawnParticle();
-    }
+    this.reset();
 
-    // Add to particles layer
-    app.layers.particles.addChild(this.container);
+    // Add to particles layer by default
+    app.layers[this.layer].addChild(this.container);
   }
 
   createParticle() {
@@ -51,11 +59,11 @@ export class TestScene {
   spawnParticle(atTop = false) {
     const particle = this.pool.acquire((p) => {
       // Random position
-      p.x = randomRange(0, this.app.width);
-      p.y = atTop ? -10 : randomRange(0, this.app.height);
+      p.x = randomRange(0, this.app.width, this.random);
+      p.y = atTop ? -10 : randomRange(0, this.app.height, this.random);
 
       // Random size (depth simulation)
-      const size = randomRange(1, 4);
+      const size = randomRange(1, 4, this.random);
       p.scale.set(size);
 
       // Depth affects speed and opacity
@@ -63,14 +71,14 @@ export class TestScene {
       p.alpha = lerp(0.3, 0.8, p.depth);
 
       // Base velocity
-      p.vy = randomRange(20, 60) * p.depth;
+      p.vy = randomRange(20, 60, this.random) * p.depth;
       p.vx = 0;
 
       // Color from palette
-      p.tint = pickFromPalette(this.palette);
+      p.tint = pickFromPalette(this.palette, this.random);
 
       // Noise offset for unique motion
-      p.noiseOffset = randomRange(0, 1000);
+      p.noiseOffset = randomRange(0, 1000, this.random);
 
       p.visible = true;
     });
@@ -120,6 +128,24 @@ export class TestScene {
     }
   }
 
+  /**
+   * Return to the initial state for this seed
+   */
+  reset() {
+    for (const p of this.particles) {
+      this.container.removeChild(p);
+      p.visible = false;
+    }
+    this.pool.releaseAll();
+    this.particles = [];
+
+    this.random = createRandom(this.seed);
+
+    for (let i = 0; i < this.particleCount; i++) {
+      this.spawnParticle();
+    }
+  }
+
   onResize(width, height) {
     // Particles will naturally adjust as they recycle
   }
@@ -137,13 +163,14 @@ export class GradientBackground {
   constructor(options = {}) {
     this.topColor = options.topColor || 0x1a1a2e;
     this.bottomColor = options.bottomColor || 0x16213e;
+    this.layer = options.layer || 'background';
     this.graphics = new Graphics();
   }
 
   onAdd(app) {
     this.app = app;
     this.draw();
-    app.layers.background.addChild(this.graphics);
+    app.layers[this.layer].addChild(this.graphics);
   }
 
   draw() {
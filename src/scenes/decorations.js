@@ -0,0 +1,184 @@
+import { christmasColors } from '../utils/color.js';
+
+/**
+ * Tree decorations: the bulb and ornament catalogue, and the layout
+ * document that records hand-placed decorations (see ChristmasTree.setLayout
+ * and DecoratingEditor)
+ *
+ * Layouts are in tree space, so they survive resizes and can be shared
+ * between screens: x is across the tree as a fraction of its base width
+ * (0 = trunk, -0.5 / 0.5 = base corners) and y is up the tree as a fraction
+ * of its height (0 = base, 1 = top). Sizes (ornament size and thread, bulb
+ * size) are fractions of the tree height too, so decorations grow with the
+ * tree. Colors are "#RRGGBB" strings.
+ *
+ * Any part left out (or null) is generated by the tree as usual.
+ *
+ * {
+ *   version: 1,
+ *   topper: { x, y },
+ *   ornaments: [{ x, y, color, size, style, thread }],  // x, y: ball center at rest
+ *   lights: [{ x, y, color, size, style, depth, strand }] // strand: wired to its strand neighbours
+ * }
+ */
+
+export const TREE_LAYOUT_VERSION = 1;
+
+// Tree height the pixel sizes below are meant for, to turn them into layout
+// defaults for entries that leave their sizes out
+const TYPICAL_TREE_HEIGHT = 600;
+
+export const lightColors = [
+  christmasColors.lightGold,
+  christmasColors.lightWarm,
+  christmasColors.lightRed,
+  christmasColors.lightBlue,
+  christmasColors.lightGreen,
+  christmasColors.lightPink,
+  christmasColors.lightPurple
+];
+
+// Bulb styles: size (radius) and default garland spacing, in pixels at scale 1
+export const bulbStyles = {
+  mini: { size: 2.2, spacing: 20 },
+  c9: { size: 4.5, spacing: 34 },
+  globe: { size: 3.6, spacing: 28 }
+};
+
+export const ornamentStyles = ['ball', 'drop', 'bell'];
+
+// Ornament size range (radius in pixels)
+export const ORNAMENT_SIZE = { min: 5, max: 16 };
+
+/**
+ * Tree-space point for a screen point
+ * @param {{x: number, y: number, width: number, height: number}} bounds - ChristmasTree.treeBounds
+ */
+export function toTreeSpace(bounds, x, y) {
+  return {
+    x: (x - bounds.x) / bounds.width,
+    y: (bounds.y - y) / bounds.height
+  };
+}
+
+/**
+ * Screen point for a tree-space point
+ */
+export function fromTreeSpace(bounds, point) {
+  return {
+    x: bounds.x + point.x * bounds.width,
+    y: bounds.y - point.y * bounds.height
+  };
+}
+
+export function colorToString(color) {
+  return `#${color.toString(16).padStart(6, '0').toUpperCase()}`;
+}
+
+function parseColor(value, where) {
+  if (typeof value === 'number' && value >= 0 && value <= 0xFFFFFF) return value;
+  if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) return parseInt(value.slice(1), 16);
+  throw new Error(`Invalid tree layout: ${where}.color must be "#RRGGBB" (got ${JSON.stringify(value)})`);
+}
+
+function parseNumber(value, where, fallback) {
+  if (value === undefined && fallback !== undefined) return fallback;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`Invalid tree layout: ${where} must be a number (got ${JSON.stringify(value)})`);
+  }
+  return value;
+}
+
+function parseStyle(value, styles, where, fallback) {
+  if (value === undefined) return fallback;
+  if (!styles.includes(value)) {
+    throw new Error(`Invalid tree layout: ${where}.style must be one of ${styles.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+  return value;
+}
+
+/**
+ * Check a layout document (e.g. parsed from an imported file) and fill in
+ * defaults; colors come back as numbers
+ * @param {Object} data
+ * @returns {Object} Normalized layout
+ */
+export function parseTreeLayout(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid tree layout: expected an object');
+  }
+  if (data.version !== undefined && data.version > TREE_LAYOUT_VERSION) {
+    throw new Error(`Invalid tree layout: version ${data.version} is newer than this app supports (${TREE_LAYOUT_VERSION})`);
+  }
+
+  // A missing list leaves those decorations to the tree (random or garland)
+  const list = (key) => {
+    if (data[key] == null) return null;
+    if (!Array.isArray(data[key])) throw new Error(`Invalid tree layout: ${key} must be an array`);
+    data[key].forEach((item, i) => {
+      if (!item || typeof item !== 'object') {
+        throw new Error(`Invalid tree layout: ${key}[${i}] must be an object (got ${JSON.stringify(item)})`);
+      }
+    });
+    return data[key];
+  };
+
+  return {
+    version: TREE_LAYOUT_VERSION,
+    topper: data.topper
+      ? { x: parseNumber(data.topper.x, 'topper.x'), y: parseNumber(data.topper.y, 'topper.y') }
+      : null,
+    ornaments: list('ornaments')?.map((item, i) => {
+      const where = `ornaments[${i}]`;
+      return {
+        x: parseNumber(item.x, `${where}.x`),
+        y: parseNumber(item.y, `${where}.y`),
+        color: parseColor(item.color, where),
+        size: parseNumber(item.size, `${where}.size`, 9 / TYPICAL_TREE_HEIGHT),
+        style: parseStyle(item.style, ornamentStyles, where, 'ball'),
+        thread: parseNumber(item.thread, `${where}.thread`, 8 / TYPICAL_TREE_HEIGHT)
+      };
+    }),
+    lights: list('lights')?.map((item, i) => {
+      const where = `lights[${i}]`;
+      const style = parseStyle(item.style, Object.keys(bulbStyles), where, 'mini');
+      return {
+        x: parseNumber(item.x, `${where}.x`),
+        y: parseNumber(item.y, `${where}.y`),
+        color: parseColor(item.color, where),
+        size: parseNumber(item.size, `${where}.size`, bulbStyles[style].size / TYPICAL_TREE_HEIGHT),
+        style,
+        depth: parseNumber(item.depth, `${where}.depth`, 1),
+        strand: item.strand == null ? null : parseNumber(item.strand, `${where}.strand`)
+      };
+    })
+  };
+}
+
+/**
+ * Layout as a plain JSON document (colors as strings, numbers rounded)
+ */
+export function serializeTreeLayout(layout) {
+  const round = (value) => Math.round(value * 1e4) / 1e4;
+  const roundSize = (value) => Math.round(value * 1e6) / 1e6; // Small fractions of the height
+  return {
+    version: TREE_LAYOUT_VERSION,
+    topper: layout.topper && { x: round(layout.topper.x), y: round(layout.topper.y) },
+    ornaments: layout.ornaments?.map(item => ({
+      ...item,
+      x: round(item.x),
+      y: round(item.y),
+      size: roundSize(item.size),
+      thread: roundSize(item.thread),
+      color: colorToString(item.color)
+    })),
+    lights: layout.lights?.map(item => ({
+      ...item,
+      x: round(item.x),
+      y: round(item.y),
+      size: roundSize(item.size),
+      depth: round(item.depth),
+      color: colorToString(item.color)
+    }))
+  };
+}
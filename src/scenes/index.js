@@ -0,0 +1,47 @@
+// Scene exports
+import { registerSceneType } from '../core/registry.js';
+import { NightSky } from './NightSky.js';
+import { Aurora } from './Aurora.js';
+import { SnowGround } from './SnowGround.js';
+import { ChristmasTree } from './ChristmasTree.js';
+import { SnowSystem } from './SnowSystem.js';
+import { MagicSparkles } from './MagicSparkles.js';
+import { Cabin } from './Cabin.js';
+import { TestScene, GradientBackground } from './TestScene.js';
+import { LightSequencer, lightPatterns, registerLightPattern } from './LightSequencer.js';
+import * as decorations from './decorations.js';
+import { treeSpecies, needleTextures, generateTree, drawTree, drawSilhouette, branchPoint, halfWidthAt } from './treeGenerator.js';
+
+// Built-in scene types, referenced by name from composition files
+registerSceneType('NightSky', NightSky);
+registerSceneType('Aurora', Aurora);
+registerSceneType('SnowGround', SnowGround);
+registerSceneType('ChristmasTree', ChristmasTree);
+registerSceneType('SnowSystem', SnowSystem);
+registerSceneType('MagicSparkles', MagicSparkles);
+registerSceneType('Cabin', Cabin);
+registerSceneType('TestScene', TestScene);
+registerSceneType('GradientBackground', GradientBackground);
+
+export {
+  NightSky,
+  Aurora,
+  SnowGround,
+  ChristmasTree,
+  SnowSystem,
+  MagicSparkles,
+  Cabin,
+  TestScene,
+  GradientBackground,
+  LightSequencer,
+  lightPatterns,
+  registerLightPattern,
+  decorations,
+  treeSpecies,
+  needleTextures,
+  generateTree,
+  drawTree,
+  drawSilhouette,
+  branchPoint,
+  halfWidthAt
+};
@@ -0,0 +1,400 @@
+import { christmasColors, lerpColor } from '../utils/color.js';
+import { randomRange, lerp, clamp } from '../utils/math.js';
+
+/**
+ * Procedural conifers built from tiers of branches
+ *
+ * A tree is a stack of tiers (whorls), each a ring of branches growing out
+ * of the trunk at different angles round it. Branches are quadratic curves
+ * from the trunk to their tip, drooping (or, for pines, turning up) towards
+ * the tip; they're projected as seen from slightly above, so branches
+ * pointing at the viewer come out short and low. generateTree() returns the
+ * geometry, so decorations and snow can sit on real branches (see
+ * branchPoint), and drawTree() paints it.
+ *
+ * Coordinates are screen pixels with the origin at the bottom of the crown
+ * (the trunk shows below it), y down.
+ */
+
+const VIEW_TILT = 0.15; // How far the viewer looks down on the tiers
+
+export const needleTextures = ['short', 'long', 'tufts', 'flocked', 'none'];
+
+/**
+ * Species presets
+ * - tiers, whorl: tiers of branches, and branches per tier
+ * - width: crown base width as a fraction of the height
+ * - droop: how far branch tips hang, as a fraction of their length (negative turns them up)
+ * - fullness: chance each branch grows (1 = dense, with a solid crown behind the branches)
+ * - breadth: width of a branch's foliage as a fraction of its length
+ * - clear: bare trunk at the bottom of the crown, fraction of the height
+ * - trunk: trunk showing below the crown, fraction of the height
+ * - lean: how far the leader (top shoot) bends over
+ * - needles: needle texture, one of needleTextures
+ * - colors: foliage [back, middle, front], bark: trunk and stems
+ */
+export const treeSpecies = {
+  fir: {
+    tiers: 9, whorl: 7, width: 0.62, droop: 0.12, fullness: 1, breadth: 0.3,
+    clear: 0.04, trunk: 0.12, lean: 0, needles: 'short',
+    colors: [christmasColors.treeDark, christmasColors.treeMid, christmasColors.treeLight],
+    bark: 0x4A3728
+  },
+  spruce: {
+    tiers: 11, whorl: 8, width: 0.55, droop: 0.35, fullness: 1, breadth: 0.26,
+    clear: 0.03, trunk: 0.1, lean: 0, needles: 'short',
+    colors: [0x173A38, 0x2A5A56, 0x437A74],
+    bark: 0x45342A
+  },
+  pine: {
+    tiers: 6, whorl: 5, width: 0.72, droop: -0.15, fullness: 0.9, breadth: 0.22,
+    clear: 0.14, trunk: 0.14, lean: 0, needles: 'tufts',
+    colors: [0x223F25, 0x38603A, 0x56834A],
+    bark: 0x5A3E2B
+  },
+  charlie: {
+    tiers: 5, whorl: 4, width: 0.5, droop: 0.4, fullness: 0.6, breadth: 0.14,
+    clear: 0.1, trunk: 0.16, lean: 0.6, needles: 'long',
+    colors: [0x2E5428, 0x467A34, 0x66A04A],
+    bark: 0x5C4030
+  },
+  flocked: {
+    tiers: 9, whorl: 7, width: 0.62, droop: 0.15, fullness: 1, breadth: 0.3,
+    clear: 0.04, trunk: 0.12, lean: 0, needles: 'flocked',
+    colors: [0x49675C, 0x789689, 0xB4CCC2],
+    bark: 0x4A3728
+  }
+};
+
+/**
+ * Build a tree's geometry
+ * @param {Object} options
+ * @param {string} [options.species='fir'] - Name in treeSpecies
+ * @param {number} [options.tiers] - Tier count (species default if omitted)
+ * @param {number} [options.droop] - Branch droop (species default if omitted)
+ * @param {string} [options.needles] - Needle texture (species default if omitted)
+ * @param {number} options.height - Crown height in pixels, base to tip
+ * @param {number} [options.x=0] - Trunk position
+ * @param {number} [options.y=0] - Bottom of the crown
+ * @param {Function} [options.random=Math.random] - Generator from createRandom()
+ * @returns {Object} { species, x, y, height, width, whorl, tiers, branches, outline, ... }
+ *   where each branch is { tier, azimuth, depth, level, root, control, tip,
+ *   length, breadth } (depth: -1 behind the trunk to 1 facing the viewer)
+ */
+export function generateTree({ species = 'fir', tiers, droop, needles, height, x = 0, y = 0, random = Math.random }) {
+  const spec = treeSpecies[species];
+  if (!spec) {
+    throw new Error(`Unknown tree species "${species}" (expected one of: ${Object.keys(treeSpecies).join(', ')})`);
+  }
+  const texture = needles ?? spec.needles;
+  if (!needleTextures.includes(texture)) {
+    throw new Error(`Unknown needle texture "${texture}" (expected one of: ${needleTextures.join(', ')})`);
+  }
+
+  const tierCount = Math.max(1, Math.round(tiers ?? spec.tiers));
+  const baseDroop = droop ?? spec.droop;
+  const baseRadius = height * spec.width / 2;
+  const top = 0.88; // Highest tier; the leader carries on to the tip
+
+  const tierList = [];
+  const branches = [];
+  for (let i = 0; i < tierCount; i++) {
+    const level = tierCount > 1 ? lerp(spec.clear, top, i / (tierCount - 1)) : spec.clear;
+    const radius = baseRadius * (1 - level) / (1 - spec.clear) * randomRange(0.9, 1.05, random);
+    const tierDroop = baseDroop * lerp(1.2, 0.6, level); // Heavy lower boughs hang more
+    const rootY = y - level * height;
+    const twist = randomRange(0, Math.PI * 2, random);
+
+    tierList.push({ index: i, level, radius, droop: tierDroop, y: rootY });
+
+    for (let j = 0; j < spec.whorl; j++) {
+      const azimuth = twist + (j / spec.whorl) * Math.PI * 2 + randomRange(-0.3, 0.3, random);
+      const grows = random() < spec.fullness;
+      const reach = radius * randomRange(0.85, 1.08, random);
+      const sag = tierDroop * randomRange(0.7, 1.3, random);
+      if (!grows) continue;
+
+      const across = Math.sin(azimuth);
+      const depth = Math.cos(azimuth);
+      const tip = { x: x + across * reach, y: rootY + sag * reach + depth * reach * VIEW_TILT };
+      // Arches out from the trunk and bends down at the tip (or curls up, for negative droop)
+      const control = {
+        x: x + across * reach * 0.55,
+        y: rootY + depth * reach * VIEW_TILT * 0.5 + sag * reach * (sag > 0 ? 0.1 : 0.8)
+      };
+
+      branches.push({
+        tier: i,
+        azimuth,
+        depth,
+        level,
+        root: { x, y: rootY },
+        control,
+        tip,
+        length: Math.hypot(tip.x - x, tip.y - rootY),
+        breadth: reach * spec.breadth * (1 + Math.abs(depth) * 0.4) // Head-on branches show their spread
+      });
+    }
+  }
+
+  // Crown outline through the tier tips, for placing things on the tree
+  const outline = tierList
+    .map(tier => ({ level: clamp(tier.level - Math.max(0, tier.droop) * tier.radius / height, 0, 1), halfWidth: tier.radius }))
+    .sort((a, b) => a.level - b.level);
+  outline.push({ level: 1, halfWidth: 0 });
+
+  return {
+    species,
+    x,
+    y,
+    height,
+    width: Math.max(...tierList.map(tier => tier.radius)) * 2,
+    whorl: spec.whorl,
+    needles: texture,
+    tiers: tierList,
+    branches,
+    outline,
+    spec
+  };
+}
+
+/**
+ * Point along a branch
+ * @param {Object} branch - From generateTree().branches
+ * @param {number} t - 0 at the trunk to 1 at the tip
+ * @returns {{x: number, y: number, dx: number, dy: number}} Position and unit direction
+ */
+export function branchPoint(branch, t) {
+  const { root, control, tip } = branch;
+  const s = 1 - t;
+  const dx = 2 * s * (control.x - root.x) + 2 * t * (tip.x - control.x);
+  const dy = 2 * s * (control.y - root.y) + 2 * t * (tip.y - control.y);
+  const length = Math.hypot(dx, dy) || 1;
+  return {
+    x: s * s * root.x + 2 * s * t * control.x + t * t * tip.x,
+    y: s * s * root.y + 2 * s * t * control.y + t * t * tip.y,
+    dx: dx / length,
+    dy: dy / length
+  };
+}
+
+/**
+ * Half the crown width at a height
+ * @param {Object} tree - From generateTree()
+ * @param {number} level - 0 at the bottom of the crown to 1 at the tip
+ */
+export function halfWidthAt(tree, level) {
+  const { outline } = tree;
+  if (level < outline[0].level || level > 1) return 0; // Bare trunk below the lowest boughs
+
+  for (let i = 1; i < outline.length; i++) {
+    const a = outline[i - 1];
+    const b = outline[i];
+    if (level <= b.level) {
+      return lerp(a.halfWidth, b.halfWidth, (level - a.level) / ((b.level - a.level) || 1));
+    }
+  }
+  return 0;
+}
+
+/**
+ * Paint a tree: trunk, crown, then branches from the back round to the
+ * front, each with its needles
+ * @param {Graphics} graphics
+ * @param {Object} tree - From generateTree()
+ * @param {Function} [random=Math.random] - For the needle scatter
+ */
+export function drawTree(graphics, tree, random = Math.random) {
+  const { x, y, height, spec } = tree;
+  const [back, middle, front] = spec.colors;
+  const trunkWidth = height * 0.05;
+
+  // Trunk, tapering up through the crown (it shows between sparse tiers)
+  const trunkTop = y - height * 0.9;
+  graphics.moveTo(x - trunkWidth / 2, y + height * spec.trunk);
+  graphics.lineTo(x - trunkWidth * 0.15, trunkTop);
+  graphics.lineTo(x + trunkWidth * 0.15, trunkTop);
+  graphics.lineTo(x + trunkWidth / 2, y + height * spec.trunk);
+  graphics.closePath();
+  graphics.fill(spec.bark);
+
+  // Dense trees have a solid crown, so there are no holes between boughs
+  if (spec.fullness >= 1) {
+    const inset = 0.8;
+    const points = tree.outline.map(({ level, halfWidth }) => ({ x: halfWidth * inset, y: y - level * height }));
+    graphics.moveTo(x, y - height);
+    for (let i = points.length - 1; i >= 0; i--) graphics.lineTo(x - points[i].x, points[i].y);
+    for (const point of points) graphics.lineTo(x + point.x, point.y);
+    graphics.closePath();
+    graphics.fill(back);
+  }
+
+  const branches = [...tree.branches].sort((a, b) => a.depth - b.depth);
+  for (const branch of branches) {
+    const color = branch.depth < 0
+      ? lerpColor(back, middle, branch.depth + 1)
+      : lerpColor(middle, front, branch.depth);
+    drawBranch(graphics, branch, color, tree, random);
+  }
+
+  drawLeader(graphics, tree, front, random);
+}
+
+/**
+ * One branch: its stem, a tapering spray of foliage and the needle texture
+ */
+function drawBranch(graphics, branch, color, tree, random) {
+  const { spec, needles, height } = tree;
+  const samples = 14;
+  const left = [];
+  const right = [];
+
+  for (let i = 0; i <= samples; i++) {
+    const t = i / samples;
+    const point = branchPoint(branch, t);
+    // Tapering spray with a ragged, needly edge
+    const ragged = i % 2 ? 1 : 0.6;
+    const half = branch.breadth * ragged * (1 - t * 0.75) * Math.sin(Math.min(1, t * 4) * Math.PI / 2);
+    left.push({ x: point.x + point.dy * half, y: point.y - point.dx * half });
+    right.push({ x: point.x - point.dy * half, y: point.y + point.dx * half });
+  }
+
+  graphics.moveTo(branch.root.x, branch.root.y);
+  graphics.quadraticCurveTo(branch.control.x, branch.control.y, branch.tip.x, branch.tip.y);
+  graphics.stroke({ width: Math.max(1, height * 0.006), color: spec.bark, alpha: 0.8 });
+
+  graphics.moveTo(left[0].x, left[0].y);
+  for (const point of left) graphics.lineTo(point.x, point.y);
+  for (let i = right.length - 1; i >= 0; i--) graphics.lineTo(right[i].x, right[i].y);
+  graphics.closePath();
+  graphics.fill(color);
+
+  if (needles === 'none') return;
+
+  const needleColor = lerpColor(color, spec.colors[2], 0.5);
+  const scale = height / 400;
+  const length = (needles === 'long' ? 11 : needles === 'tufts' ? 9 : 5) * scale;
+  const spacing = (needles === 'tufts' ? 7 : 4) * scale;
+  const count = Math.max(2, Math.round(branch.length / spacing));
+  const flock = [];
+
+  for (let i = 1; i <= count; i++) {
+    const t = i / count;
+    if (needles === 'tufts' && t < 0.55) continue; // Pines keep their needles at the tips
+    const point = branchPoint(branch, t);
+    const direction = Math.atan2(point.dy, point.dx);
+
+    if (needles === 'tufts') {
+      // Brush of needles fanning out round the shoot
+      for (let k = 0; k < 5; k++) {
+        const angle = direction + randomRange(-1.2, 1.2, random);
+        const reach = length * randomRange(0.6, 1, random);
+        graphics.moveTo(point.x, point.y);
+        graphics.lineTo(point.x + Math.cos(angle) * reach, point.y + Math.sin(angle) * reach);
+      }
+      continue;
+    }
+
+    // Needle pairs either side of the shoot, angled towards the tip
+    const spread = needles === 'long' ? 0.5 : 0.9;
+    const reach = length * (1 - t * 0.4) * randomRange(0.8, 1.2, random);
+    for (const side of [-1, 1]) {
+      const angle = direction + side * spread;
+      graphics.moveTo(point.x, point.y);
+      graphics.lineTo(point.x + Math.cos(angle) * reach, point.y + Math.sin(angle) * reach);
+    }
+
+    if (needles === 'flocked' && random() < 0.6) {
+      flock.push({ x: point.x + point.dy * reach * 0.5, y: point.y - Math.abs(point.dx) * reach * 0.6, size: reach * 0.6 });
+    }
+  }
+  graphics.stroke({ width: Math.max(1, scale), color: needleColor, alpha: 0.7 });
+
+  // Flocking settles on the upper side of the shoots
+  for (const dab of flock) graphics.circle(dab.x, dab.y, dab.size);
+  if (flock.length) graphics.fill({ color: christmasColors.snowWhite, alpha: 0.85 });
+}
+
+/**
+ * The top shoot, from the highest tier to the tip (bent over on a
+ * Charlie Brown tree)
+ */
+function drawLeader(graphics, tree, color, random) {
+  const { x, y, height, spec } = tree;
+  const base = y - height * 0.85;
+  const bend = spec.lean * height * 0.08;
+  const tip = { x: x + bend, y: y - height + Math.abs(bend) * 0.8 };
+  const half = tree.width * 0.05;
+
+  graphics.moveTo(x - half, base);
+  graphics.quadraticCurveTo(x - half * 0.3, y - height * 0.95, tip.x, tip.y);
+  graphics.quadraticCurveTo(x + half * 0.3 + bend * 0.3, y - height * 0.95, x + half, base);
+  graphics.closePath();
+  graphics.fill(color);
+
+  if (tree.needles === 'flocked') {
+    graphics.circle(tip.x, tip.y + half, half * randomRange(0.8, 1.2, random));
+    graphics.fill({ color: christmasColors.snowWhite, alpha: 0.85 });
+  }
+}
+
+/**
+ * Flat, far-off tree: a stack of drooping tiers in one color, with snow
+ * along the top of each tier. Cheap enough to draw by the hundred (see
+ * SnowGround's forest).
+ * @param {Graphics} graphics
+ * @param {Object} options
+ * @param {number} options.x - Trunk position
+ * @param {number} options.y - Ground under the trunk
+ * @param {number} options.height - Ground to tip, in pixels
+ * @param {number} [options.width=0.45] - Base width as a fraction of the height
+ * @param {number} [options.tiers=5]
+ * @param {number} [options.lean=0] - Tip offset as a fraction of the height
+ * @param {number} options.color
+ * @param {number} [options.snow] - Snow color (no snow if omitted)
+ * @param {Function} [options.random=Math.random] - For the ragged tier edges
+ */
+export function drawSilhouette(graphics, { x, y, height, width = 0.45, tiers = 5, lean = 0, color, snow, random = Math.random }) {
+  const base = y - height * 0.08; // Short trunk below the boughs
+  const crown = base - (y - height);
+  const tipX = x + lean * height;
+  const tierHeight = crown / tiers;
+
+  // Outer corner and inner notch of each tier, top to bottom, either side
+  const sides = [-1, 1].map(side => {
+    const points = [];
+    for (let k = 0; k < tiers; k++) {
+      const along = (k + 1) / tiers;
+      const center = lerp(tipX, x, along);
+      const half = height * width / 2 * along * randomRange(0.8, 1.15, random);
+      const bottom = base - crown * (1 - along);
+      points.push({ x: center + side * half, y: bottom + tierHeight * randomRange(0.05, 0.25, random) });
+      if (k < tiers - 1) {
+        points.push({ x: center + side * half * randomRange(0.4, 0.6, random), y: bottom - tierHeight * 0.2 });
+      }
+    }
+    return points;
+  });
+
+  graphics.rect(x - height * 0.02, base - tierHeight * 0.5, height * 0.04, y - base + tierHeight * 0.5);
+  graphics.fill(color);
+
+  graphics.moveTo(tipX, y - height);
+  for (const point of sides[0]) graphics.lineTo(point.x, point.y);
+  for (let i = sides[1].length - 1; i >= 0; i--) graphics.lineTo(sides[1][i].x, sides[1][i].y);
+  graphics.closePath();
+  graphics.fill(color);
+
+  if (snow === undefined) return;
+
+  // Snow on the upper slope of each tier: from its notch (or the tip) out to its corner
+  for (const points of sides) {
+    let from = { x: tipX, y: y - height };
+    for (let i = 0; i < points.length; i += 2) {
+      graphics.moveTo(lerp(from.x, points[i].x, 0.2), lerp(from.y, points[i].y, 0.2));
+      graphics.lineTo(lerp(from.x, points[i].x, 0.9), lerp(from.y, points[i].y, 0.9));
+      from = points[i + 1];
+    }
+  }
+  graphics.stroke({ width: Math.max(1, tierHeight * 0.25), color: snow, alpha: 0.85, cap: 'round' });
+}
@@ -0,0 +1,59 @@
+import { Texture, Rectangle } from 'pixi.js';
+
+/**
+ * Bake procedurally drawn images into one texture, so particles that use
+ * different images can still share a ParticleContainer (which needs a single
+ * texture source)
+ */
+
+/**
+ * Draw entries onto one canvas and cut a Texture out of it for each
+ * @param {Array<{name: string, width: number, height: number, draw: Function}>} entries -
+ *   draw(ctx, width, height) paints the entry with its origin at the entry's top-left corner
+ * @param {Object} [options]
+ * @param {number} [options.padding=2] - Transparent pixels between entries (stops bleeding under linear filtering)
+ * @param {number} [options.maxWidth=1024] - Atlas width before wrapping to a new row
+ * @param {boolean} [options.mipmaps=false] - Generate mipmaps, for entries drawn much smaller than baked
+ * @returns {{source: TextureSource, textures: Object<string, Texture>}}
+ */
+export function createTextureAtlas(entries, { padding = 2, maxWidth = 1024, mipmaps = false } = {}) {
+  // Shelf packing: left to right, new row when full
+  const placements = [];
+  let x = padding;
+  let y = padding;
+  let rowHeight = 0;
+  let width = 0;
+
+  for (const entry of entries) {
+    if (x + entry.width + padding > maxWidth && x > padding) {
+      x = padding;
+      y += rowHeight + padding;
+      rowHeight = 0;
+    }
+
+    placements.push({ entry, x, y });
+    x += entry.width + padding;
+    rowHeight = Math.max(rowHeight, entry.height);
+    width = Math.max(width, x);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = y + rowHeight + padding;
+  const ctx = canvas.getContext('2d');
+
+  for (const { entry, x, y } of placements) {
+    ctx.save();
+    ctx.translate(x, y);
+    entry.draw(ctx, entry.width, entry.height);
+    ctx.restore();
+  }
+
+  const { source } = Texture.from({ resource: canvas, autoGenerateMipmaps: mipmaps });
+  const textures = {};
+  for (const { entry, x, y } of placements) {
+    textures[entry.name] = new Texture({ source, frame: new Rectangle(x, y, entry.width, entry.height) });
+  }
+
+  return { source, textures };
+}
@@ -186,10 +186,12 @@ export const christmasColors = {
 
 /**
  * Pick a color from a palette using weights
+ * @param {Object} palette
+ * @param {Function} [random=Math.random] - Generator from createRandom() for reproducible results
  */
-export function pickFromPalette(palette) {
+export function pickFromPalette(palette, random = Math.random) {
   const colors = [palette.dominant, palette.secondary, palette.accent];
-  const r = Math.random();
+  const r = random();
   let sum = 0;
   for (let i = 0; i < colors.length; i++) {
     sum += palette.weights[i];
@@ -2,4 +2,8 @@
 export { ObjectPool } from './pool.js';
 export { Noise, noise } from './noise.js';
 export * from './math.js';
+export * from './random.js';
 export * from './color.js';
+export { createTextureAtlas } from './atlas.js';
+export * from './particleTextures.js';
+export * from './snowflakes.js';
@@ -31,31 +31,58 @@ export function smoothstep(edge0, edge1, x) {
   return t * t * (3 - 2 * t);
 }
 
+/**
+ * Wrap value into [min, max) - like modulo, but always positive
+ */
+export function wrap(value, min, max) {
+  const range = max - min;
+  return min + ((((value - min) % range) + range) % range);
+}
+
+/**
+ * Snap an angular speed so it completes a whole number of cycles in `period`
+ * seconds, making e.g. sin(elapsed * speed) repeat seamlessly in loop mode.
+ * Non-zero speeds keep at least one cycle so nothing freezes.
+ * @param {number} speed - Radians per second
+ * @param {number} period - Loop length in seconds (0/null returns speed unchanged)
+ * @param {number} [cycle=2π] - Angle after which the motion looks identical (e.g. 2π/5 for a 5-point star)
+ */
+export function loopSpeed(speed, period, cycle = Math.PI * 2) {
+  if (!period || !speed) return speed;
+  const cycles = Math.max(1, Math.round(Math.abs(speed) * period / cycle));
+  return Math.sign(speed) * cycles * cycle / period;
+}
+
 /**
  * Random float in range
+ * @param {number} min
+ * @param {number} max
+ * @param {Function} [random=Math.random] - Generator from createRandom() for reproducible results
  */
-export function randomRange(min, max) {
-  return min + Math.random() * (max - min);
+export function randomRange(min, max, random = Math.random) {
+  return min + random() * (max - min);
 }
 
 /**
  * Random integer in range (inclusive)
+ * @param {Function} [random=Math.random] - Generator from createRandom()
  */
-export function randomInt(min, max) {
-  return Math.floor(randomRange(min, max + 1));
+export function randomInt(min, max, random = Math.random) {
+  return Math.floor(randomRange(min, max + 1, random));
 }
 
 /**
  * Pick random item from array with optional weights
  * @param {Array} items
  * @param {Array} [weights] - If provided, weighted selection (must sum to 1)
+ * @param {Function} [random=Math.random] - Generator from createRandom()
  */
-export function randomPick(items, weights) {
+export function randomPick(items, weights, random = Math.random) {
   if (!weights) {
-    return items[randomInt(0, items.length - 1)];
+    return items[randomInt(0, items.length - 1, random)];
   }
 
-  const r = Math.random();
+  const r = random();
   let sum = 0;
   for (let i = 0; i < items.length; i++) {
     sum += weights[i];
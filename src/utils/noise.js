@@ -1,16 +1,22 @@
 import { createNoise2D, createNoise3D, createNoise4D } from 'simplex-noise';
+import { createRandom } from './random.js';
 
 /**
  * Noise utility wrapper with layered octaves for organic motion
  * Uses simplex noise for smoother, more natural results than Perlin
  */
 export class Noise {
+  /**
+   * @param {number|string} [seed] - Same seed gives the same noise field; omit for a random one
+   */
   constructor(seed) {
-    // Create noise functions (optionally seeded)
-    const seedFn = seed ? () => seed : undefined;
-    this.noise2D = createNoise2D(seedFn);
-    this.noise3D = createNoise3D(seedFn);
-    this.noise4D = createNoise4D(seedFn);
+    // Each permutation table gets its own generator so the three fields are
+    // reproducible independently of each other
+    const randomFn = () => (seed != null ? createRandom(seed) : Math.random);
+    this.seed = seed;
+    this.noise2D = createNoise2D(randomFn());
+    this.noise3D = createNoise3D(randomFn());
+    this.noise4D = createNoise4D(randomFn());
   }
 
   /**
@@ -83,6 +89,48 @@ export class Noise {
     return value / maxValue;
   }
 
+  /**
+   * 4D FBM
+   */
+  fbm4D(x, y, z, w, { octaves = 4, lacunarity = 2, persistence = 0.5, scale = 1 } = {}) {
+    let value = 0;
+    let amplitude = 1;
+    let frequency = scale;
+    let maxValue = 0;
+
+    for (let i = 0; i < octaves; i++) {
+      value += amplitude * this.noise4D(x * frequency, y * frequency, z * frequency, w * frequency);
+      maxValue += amplitude;
+      amplitude *= persistence;
+      frequency *= lacunarity;
+    }
+
+    return value / maxValue;
+  }
+
+  /**
+   * Single octave time-varying 2D noise that optionally repeats.
+   * With a period, t travels around a circle in the z/w plane of 4D noise,
+   * so t and t + period give the same value. The circle's circumference
+   * equals the period, so the apparent speed matches the unlooped version.
+   * @param {number} t - Time coordinate (already multiplied by any time scale)
+   * @param {number} [period=0] - Repeat length in units of t (0 = no looping)
+   */
+  getLoop(x, y, t, period = 0) {
+    if (!period) return this.noise3D(x, y, t);
+    const { z, w } = loopCoords(t, period);
+    return this.noise4D(x, y, z, w);
+  }
+
+  /**
+   * FBM counterpart of getLoop() - fbm3D(x, y, t) that repeats every `period` units of t
+   */
+  fbmLoop(x, y, t, period = 0, options = {}) {
+    if (!period) return this.fbm3D(x, y, t, options);
+    const { z, w } = loopCoords(t, period);
+    return this.fbm4D(x, y, z, w, options);
+  }
+
   /**
    * Get a time-varying 2D vector field value (for wind, flow, etc.)
    * @param {number} x
@@ -90,13 +138,15 @@ export class Noise {
    * @param {number} time - Time value for animation
    * @param {number} [scale=0.01] - Spatial scale
    * @param {number} [timeScale=0.1] - Time scale
+   * @param {number} [loopDuration=0] - Repeat every this many seconds (0 = no looping)
    * @returns {{x: number, y: number}} Vector with x,y components in [-1, 1]
    */
-  flowField(x, y, time, scale = 0.01, timeScale = 0.1) {
+  flowField(x, y, time, scale = 0.01, timeScale = 0.1, loopDuration = 0) {
     const t = time * timeScale;
+    const period = loopDuration * timeScale;
     return {
-      x: this.fbm3D(x * scale, y * scale, t),
-      y: this.fbm3D(x * scale + 100, y * scale + 100, t)
+      x: this.fbmLoop(x * scale, y * scale, t, period),
+      y: this.fbmLoop(x * scale + 100, y * scale + 100, t, period)
     };
   }
 
@@ -111,5 +161,14 @@ export class Noise {
   }
 }
 
+/**
+ * Map a time coordinate onto a circle whose circumference is `period`
+ */
+function loopCoords(t, period) {
+  const radius = period / (Math.PI * 2);
+  const angle = (t / period) * Math.PI * 2;
+  return { z: Math.cos(angle) * radius, w: Math.sin(angle) * radius };
+}
+
 // Default instance for convenience
 export const noise = new Noise();
@@ -0,0 +1,93 @@
+import { createTextureAtlas } from './atlas.js';
+import { drawSnowflake, snowflakeTypes } from './snowflakes.js';
+import { createRandom } from './random.js';
+
+/**
+ * Shared particle texture atlas used by SnowSystem and MagicSparkles
+ *
+ * All images are white so particles can be tinted. Sizes are in texture
+ * pixels; `radius` tells scenes how to scale an image to a size in screen
+ * pixels.
+ */
+
+export const DOT_RADIUS = 16;
+export const SPARKLE_RADIUS = 16;
+export const CRYSTAL_RADIUS = 24;
+
+// Crystal variants baked per snowflake type
+const CRYSTALS_PER_TYPE = 4;
+// Fixed, so every app bakes the same crystals
+const CRYSTAL_SEED = 'snowflake-crystals';
+
+let atlas = null;
+
+/**
+ * Soft round dot: solid core with a feathered edge, reads as a flake at any size
+ */
+function drawDot(ctx, width, height) {
+  const gradient = ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, DOT_RADIUS);
+  gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+  gradient.addColorStop(0.7, 'rgba(255, 255, 255, 1)');
+  gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+}
+
+/**
+ * 4-pointed star
+ */
+function drawSparkle(ctx, width, height) {
+  const r = SPARKLE_RADIUS;
+  ctx.translate(width / 2, height / 2);
+
+  ctx.beginPath();
+  ctx.moveTo(0, -r);
+  ctx.lineTo(r * 0.3, -r * 0.3);
+  ctx.lineTo(r, 0);
+  ctx.lineTo(r * 0.3, r * 0.3);
+  ctx.lineTo(0, r);
+  ctx.lineTo(-r * 0.3, r * 0.3);
+  ctx.lineTo(-r, 0);
+  ctx.lineTo(-r * 0.3, -r * 0.3);
+  ctx.closePath();
+
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fill();
+}
+
+/**
+ * Get the shared atlas, baking it on first use (and again if a previous app
+ * destroyed it)
+ * @returns {{source: TextureSource, textures: {dot: Texture, sparkle: Texture}, crystals: Texture[]}}
+ *   crystals are six-fold snowflakes (see snowflakes.js), CRYSTAL_RADIUS to the arm tips
+ */
+export function getParticleAtlas() {
+  if (!atlas || atlas.source.destroyed) {
+    const random = createRandom(CRYSTAL_SEED);
+    const size = CRYSTAL_RADIUS * 2;
+    const crystals = [];
+    for (const type of snowflakeTypes) {
+      for (let i = 0; i < CRYSTALS_PER_TYPE; i++) {
+        crystals.push({
+          name: `${type}${i}`,
+          width: size,
+          height: size,
+          draw: (ctx) => {
+            ctx.translate(size / 2, size / 2);
+            drawSnowflake(ctx, CRYSTAL_RADIUS - 1, type, random);
+          }
+        });
+      }
+    }
+
+    // Mipmapped, as crystals are drawn well below their baked size
+    atlas = createTextureAtlas([
+      { name: 'dot', width: DOT_RADIUS * 2, height: DOT_RADIUS * 2, draw: drawDot },
+      { name: 'sparkle', width: SPARKLE_RADIUS * 2, height: SPARKLE_RADIUS * 2, draw: drawSparkle },
+      ...crystals
+    ], { padding: 4, mipmaps: true });
+    atlas.crystals = crystals.map(entry => atlas.textures[entry.name]);
+  }
+  return atlas;
+}
@@ -0,0 +1,64 @@
+/**
+ * Seedable pseudo-random numbers for reproducible scenes
+ * Every generator is a plain function returning a float in [0, 1),
+ * so it can be used anywhere Math.random is accepted
+ */
+
+/**
+ * Hash a number or string into a 32-bit unsigned integer seed (FNV-1a).
+ * Integers, and strings of digits such as "123" from a URL, are used as is,
+ * so a logged seed reproduces the same layout whichever form it comes in.
+ * @param {number|string} value
+ * @returns {number}
+ */
+export function hashSeed(value) {
+  if (typeof value === 'string' && /^\d+$/.test(value) && Number.isSafeInteger(Number(value))) {
+    value = Number(value);
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return value >>> 0;
+  }
+
+  const str = String(value);
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random generator (mulberry32)
+ * @param {number|string} seed
+ * @returns {() => number} Generator returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  return function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Derive an independent child seed, e.g. one per scene or per feature
+ * @param {number|string} seed - Parent seed
+ * @param {number|string} key - Stable name for the child stream
+ * @returns {number}
+ */
+export function deriveSeed(seed, key) {
+  return hashSeed(`${hashSeed(seed)}:${key}`);
+}
+
+/**
+ * Pick a fresh unseeded seed (so it can be logged and replayed later)
+ * @returns {number}
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
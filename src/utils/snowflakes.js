@@ -0,0 +1,185 @@
+import { randomRange, randomInt } from './math.js';
+
+/**
+ * Procedural six-fold snowflake crystals, drawn with a 2D canvas
+ *
+ * Each flake is generated as one half-arm (random within its type), then
+ * drawn twelve times: rotated to each of the six arms and mirrored across
+ * each. Flakes are white so they can be tinted.
+ */
+
+export const snowflakeTypes = ['dendrite', 'plate', 'stellar'];
+
+const SIXTH = Math.PI / 3;
+
+/**
+ * Regular hexagon path, with a vertex on the +x axis
+ */
+function hexagon(ctx, radius) {
+  ctx.beginPath();
+  for (let i = 0; i < 6; i++) {
+    const angle = i * SIXTH;
+    ctx.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+  }
+  ctx.closePath();
+}
+
+function line(ctx, x1, y1, x2, y2) {
+  ctx.beginPath();
+  ctx.moveTo(x1, y1);
+  ctx.lineTo(x2, y2);
+  ctx.stroke();
+}
+
+/**
+ * Side branch leaving the arm at 60 degrees, on the +y side
+ */
+function branch(ctx, x, length, twigs, width) {
+  const dx = Math.cos(SIXTH) * length;
+  const dy = Math.sin(SIXTH) * length;
+  ctx.lineWidth = width;
+  line(ctx, x, 0, x + dx, dy);
+
+  // Twigs on the branch, parallel to the main arm
+  ctx.lineWidth = width * 0.7;
+  for (const t of twigs) {
+    const tx = x + dx * t;
+    const ty = dy * t;
+    line(ctx, tx, ty, tx + length * (1 - t) * 0.45, ty);
+  }
+}
+
+/**
+ * Per-type shape generators: random parameters for one flake, and how to
+ * draw its center and one half-arm (along +x, branches on the +y side)
+ */
+const generators = {
+  // Fern-like arms with many branches and twigs
+  dendrite: (random) => {
+    const count = randomInt(3, 5, random);
+    const branches = [];
+    for (let i = 0; i < count; i++) {
+      const t = 0.25 + (i / count) * 0.6 + randomRange(-0.04, 0.04, random);
+      branches.push({
+        t,
+        length: (1 - t) * randomRange(0.45, 0.7, random),
+        twigs: random() < 0.6 ? [randomRange(0.3, 0.6, random)] : []
+      });
+    }
+
+    return {
+      width: randomRange(0.06, 0.08, random),
+      branches,
+
+      center(ctx, radius) {
+        hexagon(ctx, radius * 0.08);
+        ctx.fill();
+      },
+
+      arm(ctx, radius) {
+        ctx.lineWidth = radius * this.width;
+        line(ctx, 0, 0, radius, 0);
+        for (const b of this.branches) {
+          branch(ctx, b.t * radius, b.length * radius, b.twigs, radius * this.width * 0.8);
+        }
+      }
+    };
+  },
+
+  // Flat hexagonal plate with ridges and an inner ring
+  plate: (random) => ({
+    size: randomRange(0.6, 0.85, random),
+    ring: randomRange(0.4, 0.65, random),
+    opacity: randomRange(0.35, 0.55, random),
+    stubs: random() < 0.5,
+
+    center(ctx, radius) {
+      const size = this.size * radius;
+      ctx.globalAlpha = this.opacity;
+      hexagon(ctx, size);
+      ctx.fill();
+      ctx.globalAlpha = 1;
+
+      ctx.lineWidth = radius * 0.06;
+      hexagon(ctx, size);
+      ctx.stroke();
+      ctx.lineWidth = radius * 0.04;
+      hexagon(ctx, size * this.ring);
+      ctx.stroke();
+    },
+
+    arm(ctx, radius) {
+      // Ridge from the center to the vertex, optionally growing past it
+      ctx.lineWidth = radius * 0.04;
+      line(ctx, 0, 0, (this.stubs ? 1 : this.size) * radius, 0);
+    }
+  }),
+
+  // Slim arms with a small plate near each tip
+  stellar: (random) => ({
+    width: randomRange(0.08, 0.12, random),
+    tip: randomRange(0.65, 0.8, random),
+    tipSize: randomRange(0.1, 0.16, random),
+    barb: randomRange(0.35, 0.5, random),
+
+    center(ctx, radius) {
+      hexagon(ctx, radius * 0.18);
+      ctx.fill();
+    },
+
+    arm(ctx, radius) {
+      // Tapering half of the arm
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(0, radius * this.width);
+      ctx.lineTo(radius, 0);
+      ctx.closePath();
+      ctx.fill();
+
+      // Half of the tip plate, and a barb partway out
+      ctx.beginPath();
+      const cx = this.tip * radius;
+      const size = this.tipSize * radius;
+      for (let i = 0; i <= 3; i++) {
+        ctx.lineTo(cx + Math.cos(i * SIXTH) * size, Math.sin(i * SIXTH) * size);
+      }
+      ctx.closePath();
+      ctx.fill();
+
+      branch(ctx, this.barb * radius, radius * 0.2, [], radius * 0.05);
+    }
+  })
+};
+
+/**
+ * Draw a random six-fold snowflake centered on the origin
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} radius - Arm length in pixels
+ * @param {string} type - One of snowflakeTypes
+ * @param {Function} random - Random source (0-1)
+ */
+export function drawSnowflake(ctx, radius, type, random) {
+  const generate = generators[type];
+  if (!generate) {
+    throw new Error(`Unknown snowflake type "${type}" (expected one of: ${snowflakeTypes.join(', ')})`);
+  }
+  const flake = generate(random);
+
+  ctx.save();
+  ctx.fillStyle = '#FFFFFF';
+  ctx.strokeStyle = '#FFFFFF';
+  ctx.lineCap = 'round';
+
+  flake.center(ctx, radius);
+  for (let i = 0; i < 6; i++) {
+    for (const mirror of [1, -1]) {
+      ctx.save();
+      ctx.rotate(i * SIXTH);
+      ctx.scale(1, mirror);
+      flake.arm(ctx, radius);
+      ctx.restore();
+    }
+  }
+
+  ctx.restore();
+}